@@ -1,6 +1,9 @@
 /***SubtitleReader - 字幕伴读库
 * 一个轻量级的JavaScript库，提供文本朗读功能，并伴随同步的字幕显示
 */
+// 所有类和辅助函数都限定在此函数作用域内，只通过 window.SubtitleReader 和 module.exports 暴露，
+// 避免与宿主页面中同名的全局变量冲突
+(function () {
 class SubtitleReader {
   /**
    * 创建新的SubtitleReader实例
@@ -11,8 +14,24 @@ class SubtitleReader {
     this.config = {
       container: null,
       markdownText: '',
+      streaming: false, // 流式模式：文本通过appendText()陆续到达，只朗读完整的句子，调用endStream()后结束
+      format: 'markdown', // 输入格式: 'markdown'、'text' 纯文本、'html' 网页片段(会清理脚本)、'srt'、'vtt' 字幕文件
       targetVoiceName: "Microsoft Yunxi Online",
+      defaultLang: 'zh-CN', // 默认朗读语言
+      autoDetectLanguage: true, // 是否按文字系统自动检测每个单元的语言
+      voiceMap: {}, // 各语言使用的语音名称，如 { zh: 'Yunxi', en: 'Aria' }
+      renderers: {}, // 按标签名覆盖朗读规则，如 { pre: (element, reader) => '代码' }
+      codeBlockPolicy: 'summarize', // 代码块处理方式: 'skip' 跳过, 'summarize' 概述, 'read' 逐行朗读
+      headingPause: 600, // 标题前后的停顿(毫秒)
       speechRate: 1.0,
+      speechPitch: 1.0, // 音调(0-2)
+      speechVolume: 1.0, // 音量(0-1)
+      rateRules: [], // 按段落调整语速，如 { selector: 'h1, h2, blockquote', rate: 0.85 }，rate/pitch/volume为倍数，第一条匹配的规则生效
+      rateStep: 0.1, // 快捷键每次调整的语速
+      shortcuts: {}, // 快捷键，按event.key覆盖默认设置，值为动作名、函数或null(禁用)，设为false关闭全部快捷键
+      mediaSession: true, // 是否接入系统媒体控制（媒体键、系统播放浮层）
+      title: '', // 媒体控制中显示的标题，默认使用文档的第一个标题或页面标题
+      ariaLive: 'polite', // 字幕区域的朗读提示级别: 'polite'、'assertive'、'off'
       minWindowWidth: Math.floor(window.screen.availWidth * 0.3),
       maxWindowWidth: Math.floor(window.screen.availWidth * 0.9),
       singleLineHeight: 35,
@@ -20,6 +39,39 @@ class SubtitleReader {
       completionDelay: 2000,
       maxTextWidth: Math.floor(window.screen.availWidth * 0.8),
       standalone: false, // 是否控制窗口大小(独立窗口模式应设为true)
+      windowAnchor: null, // 独立窗口位置: 'bottom'、'top'、'top-left'、'top-right'、'bottom-left'、'bottom-right'、'custom'，默认使用主题的position
+      windowPosition: null, // windowAnchor为custom时的窗口坐标 { x, y }
+      windowMargin: 0, // 窗口与屏幕边缘的距离
+      rememberGeometry: true, // 是否记住用户拖动或调整后的窗口位置和大小
+      smoothResize: true, // 同一段落内窗口只变宽不变窄，减少跳动
+      draggable: true, // 是否可以拖动字幕移动窗口
+      keepOpenOnComplete: false, // 读完后是否保持窗口打开
+      theme: {}, // 主题，如 { preset: 'light', fontSize: 28, position: 'top', maxLines: 3 }，见 setTheme()
+      documentMode: false, // 是否显示全文并高亮、滚动到正在朗读的段落
+      storage: null, // 进度存储适配器，默认使用localStorage
+      storageKey: 'subtitle-reader-progress', // 进度存储键名前缀
+      saveProgress: true, // 是否保存朗读进度
+      maxProgressEntries: 50, // 最多保存多少个文档的进度，超出时移除最久未读的
+      resume: false, // 设置文本后是否从上次保存的位置继续朗读
+      resumeNoticeDelay: 1500, // 显示“从X%处继续”提示的时长(毫秒)
+      voicesTimeout: 5000, // 等待语音列表加载的最长时间(毫秒)，超时后显示错误
+      engine: null, // 语音引擎，默认使用Web Speech API
+      ttsBackend: null, // 外部TTS后端，如 new SubtitleReader.HttpTtsBackend({ endpoint })，设置后通过音频元素播放
+      coordinator: null, // 语音协调器，默认与页面上的其他阅读器共用 SubtitleReader.coordinator
+      speechPolicy: 'preempt', // 其他阅读器正在朗读时: 'preempt' 停止对方立即开始, 'queue' 排队等待对方结束
+      lexicon: {}, // 读音词典，如 { API: 'A P I', k8s: 'kubernetes' }，也可为 {pattern, speech} 规则数组
+      normalizeNumbers: true, // 是否将中文朗读中的数字、日期、单位转换为读法
+      translator: null, // 翻译服务，需提供 translate(units, targetLang) 方法并返回Promise<译文数组>
+      translationLang: 'en', // 译文语言
+      translationLookahead: 3, // 提前翻译的单元数
+      translationLineHeight: 28, // 双语字幕中译文行的高度
+      chunkMaxChars: 60, // 每次交给语音引擎的最大字符数，避免浏览器截断长语音
+      chunkMaxDuration: 10000, // 每次交给语音引擎的内容估算朗读时长上限(毫秒)，Chrome约15秒后会截断语音
+      prefetch: true, // 是否提前将下一块加入语音队列
+      filterRules: [], // 文本过滤规则，与内置规则同名时覆盖其设置，如 { name: 'url', speech: '链接' }
+      wordHighlight: true, // 是否在字幕中逐词高亮正在朗读的内容
+      estimatedCharsPerSecond: 5, // 估算字幕时间轴时1.0语速下每秒朗读的汉字数
+      clock: null, // 计时函数(返回毫秒)，默认使用performance.now
       ...options
     };
     // 初始化状态
@@ -27,10 +79,86 @@ class SubtitleReader {
       subtitle: null,
       content: null
     };
-    // 创建文本测量画布
+    // 朗读状态
+    this.displayUnits = [];
+    this.charToUnitMap = [];
+    this.cleanedText = '';
+    this.currentUnitIndex = -1;
+    this.isReading = false;
+    this.isPaused = false;
+    this.pendingSeek = false;
+    this.speechSession = 0;
+    this.pauseTimer = null;
+    this.lastQueuedChunk = null;
+    this.highlightedElement = null;
+    this.startTimer = null;
+    this.voicesTimer = null;
+    // 流式文本状态
+    // streamMode表示当前内容为流式文本（结束后仍保持，单元分割与朗读时一致）
+    this.streamMode = false;
+    this.streamOpen = false;
+    this.streamFormat = null;
+    this.streamCommitted = 0;
+    this.streamWaitIndex = null;
+    // 朗读队列：queue为等待朗读的文档，currentDocument为正在朗读的队列文档，
+    // documentSettings为应用文档语音、语速前的原设置，文档结束时恢复
+    this.queue = [];
+    this.currentDocument = null;
+    this.documentSettings = null;
+    this.documentCounter = 0;
+    // setText()后等待语音加载或延迟开始朗读
+    this.startPending = false;
+    // 译文缓存 { 语言\0原文: 译文或进行中的请求 }
+    this.translationCache = new Map();
+    this.subtitleSourceHTML = '';
+    // 字幕中显示的单元，显示动画、错误等其他内容时为-1
+    this.subtitleUnitIndex = -1;
+    // 事件监听器 { type: [handler] }
+    this.listeners = {};
+    // 进度存储
+    this.storage = this.config.storage || SubtitleReader.createDefaultStorage();
+    this.voice = null;
+    this.voiceCache = {};
+    // setVoice() 指定的语音名称 { 语言: 名称 }，优先于voiceMap
+    this.voiceOverrides = {};
+    // 字幕时间轴记录
+    this.timeline = [];
+    this.readingStartedAt = 0;
+    this.pauseStartedAt = 0;
+    this.pausedTime = 0;
+    // 文本过滤流水线
+    this.filterPipeline = new TextFilterPipeline(this.config.filterRules);
+    // 读音规范化
+    this.speechNormalizer = this.createSpeechNormalizer();
+    // 语音引擎
+    this.engine = this.config.engine ||
+      (this.config.ttsBackend ? new BackendSpeechEngine(this.config.ttsBackend) : new WebSpeechEngine());
+    this.coordinator = this.config.coordinator || SubtitleReader.coordinator;
+    // 事件处理函数，销毁时移除
+    this.handleUnload = null;
+    this.handleContentClick = null;
+    this.handleKeydown = null;
+    this.keyboardTarget = null;
+    this.addedTabIndex = false;
+    this.unsubscribeVoices = null;
+    this.unsubscribeStartVoices = null;
+    this.destroyed = false;
+    // 独立窗口状态：applied为最后设置的位置和大小，remembered为用户调整后记住的位置和大小
+    this.windowState = { applied: null, remembered: null, group: null, width: 0, height: 0, syncing: false, syncTimer: null };
+    this.handlePointerDown = null;
+    this.handleWindowResize = null;
+    // 分割缓存：字符宽度、分词器和每行的分割结果
+    this.charWidthCache = new Map();
+    this.segmenters = {};
+    this.splitCache = new Map();
+    // 内容版本号，与显示单元的版本号一致时无需重新处理
+    this.contentVersion = 0;
+    this.unitsVersion = -1;
+    // 创建文本测量画布（无画布环境下使用估算宽度），字体在创建DOM后从字幕样式读取
     this.textCanvas = document.createElement("canvas");
-    this.textContext = this.textCanvas.getContext("2d");
-    this.textContext.font = "22px Microsoft YaHei UI, Segoe UI, sans-serif";
+    this.textContext = this.textCanvas.getContext ? this.textCanvas.getContext("2d") : null;
+    this.measureFont = '';
+    this.measureFontSize = 22;
     // 如果提供了容器，则初始化
     if (this.config.container) {
       this.init();
@@ -52,7 +180,16 @@ class SubtitleReader {
       throw new Error('SubtitleReader: 未提供容器元素');
     }
     // 创建DOM结构
+    this.config.container.classList.add('subtitle-reader-container');
+    // 独立窗口模式下页面只有阅读器，才重置页面边距和滚动
+    if (this.config.standalone) {
+      document.documentElement.classList.add('subtitle-reader-standalone');
+      if (this.config.rememberGeometry) {
+        this.windowState.remembered = this.storage.get(this.getWindowStorageKey()) || null;
+      }
+    }
     this.createDOM();
+    this.applyTheme();
     // 设置事件监听
     this.setupEvents();
     // 如果提供了文本，则初始化内容
@@ -65,55 +202,826 @@ class SubtitleReader {
    */
   createDOM() {
     // 创建字幕元素
+    // 使用类名而不是id，同一页面可以有多个阅读器
     this.elements.subtitle = document.createElement('div');
-    this.elements.subtitle.id = 'subtitle';
-    this.elements.subtitle.className = 'single-line';
-    // 创建隐藏内容元素
+    this.elements.subtitle.className = 'subtitle-reader-subtitle single-line';
+    // 字幕区域作为实时区域，读屏软件会播报新的字幕
+    this.elements.subtitle.setAttribute('role', 'status');
+    this.elements.subtitle.setAttribute('aria-live', this.config.ariaLive);
+    this.elements.subtitle.setAttribute('aria-atomic', 'true');
+    // 创建内容元素，文档模式下可见
     this.elements.content = document.createElement('div');
-    this.elements.content.id = 'content';
-    this.elements.content.className = 'hidden-content';
+    this.elements.content.className = 'subtitle-reader-content';
     // 将元素添加到容器
     this.config.container.appendChild(this.elements.subtitle);
     this.config.container.appendChild(this.elements.content);
+    this.setDocumentMode(this.config.documentMode);
+  }
+  /**
+   * 修改主题，未指定的设置保持不变，设为null时恢复样式表中的默认值
+   * @param {Object} theme - 主题设置
+   * @param {string} theme.preset - 预设主题: 'dark'、'light'、'high-contrast'
+   * @param {string} theme.fontFamily - 字体
+   * @param {number|string} theme.fontSize - 字号，数字按像素处理
+   * @param {number} theme.lineHeight - 行高倍数
+   * @param {string} theme.color - 文字颜色
+   * @param {string} theme.background - 背景颜色
+   * @param {number} theme.backgroundOpacity - 背景不透明度(0-1)
+   * @param {string} theme.highlightColor - 正在朗读的词和段落的高亮颜色
+   * @param {string} theme.position - 字幕位置: 'bottom'、'top'、'custom'
+   * @param {number|string} theme.left - custom位置的横坐标
+   * @param {number|string} theme.top - custom位置的纵坐标
+   * @param {number} theme.maxLines - 多行字幕最多显示的行数
+   */
+  setTheme(theme) {
+    this.config.theme = { ...this.config.theme, ...theme };
+    this.applyTheme();
+    // 按新的字体重新调整当前字幕
+    const unit = this.displayUnits[this.currentUnitIndex];
+    if (unit && this.isReading) {
+      this.renderSubtitle(this.subtitleSourceHTML);
+    }
+  }
+  /**
+   * 将主题写入容器的CSS自定义属性，只影响阅读器内部
+   */
+  applyTheme() {
+    const container = this.config.container;
+    const theme = this.config.theme;
+    if (theme.preset) {
+      container.setAttribute('data-theme', theme.preset);
+    } else {
+      container.removeAttribute('data-theme');
+    }
+    container.setAttribute('data-position', theme.position || 'bottom');
+    Object.entries(SubtitleReader.THEME_PROPERTIES).forEach(([key, property]) => {
+      const value = theme[key];
+      if (value === undefined || value === null) {
+        container.style.removeProperty(property);
+      } else {
+        const pixels = typeof value === 'number' && ['fontSize', 'left', 'top'].includes(key);
+        container.style.setProperty(property, pixels ? `${value}px` : String(value));
+      }
+    });
+    this.updateMeasureFont();
+  }
+  /**
+   * 从字幕元素的计算样式读取字体，用于测量文本宽度
+   * 样式表未加载时使用主题设置或默认字体
+   */
+  updateMeasureFont() {
+    const computed = window.getComputedStyle ? window.getComputedStyle(this.elements.subtitle) : null;
+    // 浏览器中计算出的字号总是像素值，否则说明样式不可用
+    const style = computed && /px$/.test(computed.fontSize) ? computed : null;
+    const theme = this.config.theme;
+    const themeSize = typeof theme.fontSize === 'number' ? `${theme.fontSize}px` : theme.fontSize;
+    const fontSize = (style && style.fontSize) || themeSize || SubtitleReader.DEFAULT_FONT_SIZE;
+    const fontFamily = (style && style.fontFamily) || theme.fontFamily || SubtitleReader.DEFAULT_FONT_FAMILY;
+    const font = [style && style.fontStyle, style && style.fontWeight, fontSize, fontFamily]
+      .filter(part => part && part !== 'normal')
+      .join(' ');
+    if (font === this.measureFont) return;
+    this.measureFont = font;
+    this.measureFontSize = parseFloat(fontSize) || 22;
+    if (this.textContext) {
+      this.textContext.font = font;
+    }
+    // 字体变化后之前的测量和分割结果都失效
+    this.clearMeasureCache();
+  }
+  /**
+   * 获取多行字幕最多显示的行数
+   * @returns {number} - 行数
+   */
+  getMaxLines() {
+    const style = window.getComputedStyle ? window.getComputedStyle(this.config.container) : null;
+    const value = this.config.theme.maxLines ||
+      (style && parseInt(style.getPropertyValue('--sr-max-lines'), 10));
+    return Math.max(1, value || 2);
+  }
+  /**
+   * 计算窗口按windowAnchor停靠时的位置，基于窗口所在的屏幕
+   * @param {number} width - 窗口宽度
+   * @param {number} height - 窗口高度
+   * @returns {Object} - {x, y}
+   */
+  getAnchoredPosition(width, height) {
+    const screen = window.screen;
+    const theme = this.config.theme;
+    const anchor = this.config.windowAnchor || theme.position || 'bottom';
+    if (anchor === 'custom') {
+      const position = this.config.windowPosition || { x: theme.left, y: theme.top };
+      return { x: parseFloat(position.x) || 0, y: parseFloat(position.y) || 0 };
+    }
+    // 多显示器时availLeft/availTop为当前屏幕的偏移
+    const left = screen.availLeft || 0;
+    const top = screen.availTop || 0;
+    const margin = this.config.windowMargin;
+    let x = left + (screen.availWidth - width) / 2;
+    if (anchor.endsWith('left')) {
+      x = left + margin;
+    } else if (anchor.endsWith('right')) {
+      x = left + screen.availWidth - width - margin;
+    }
+    const y = anchor.startsWith('top') ? top + margin : top + screen.availHeight - height - margin;
+    return { x: Math.round(x), y: Math.round(y) };
+  }
+  /**
+   * 设置独立窗口的大小和位置，用户调整过窗口时使用记住的位置和大小，没有变化时不调用
+   * @param {number} width - 窗口宽度
+   * @param {number} height - 窗口高度
+   */
+  setWindowGeometry(width, height) {
+    this.detectUserGeometry();
+    const remembered = this.windowState.remembered;
+    if (remembered && remembered.width && remembered.height) {
+      width = remembered.width;
+      height = remembered.height;
+    }
+    const { x, y } = remembered && typeof remembered.x === 'number'
+      ? remembered
+      : this.getAnchoredPosition(width, height);
+    const applied = this.windowState.applied;
+    if (!applied || applied.width !== width || applied.height !== height) {
+      window.resizeTo(width, height);
+    }
+    if (!applied || applied.x !== x || applied.y !== y) {
+      window.moveTo(x, y);
+    }
+    this.windowState.applied = { x, y, width, height };
+    // 窗口调整可能是异步的，浏览器也可能修正设置的值（如超出屏幕），稍后记录实际结果，避免误判为用户调整
+    clearTimeout(this.windowState.syncTimer);
+    this.windowState.syncing = true;
+    this.windowState.syncTimer = setTimeout(() => {
+      this.windowState.syncing = false;
+      this.windowState.applied = this.getCurrentGeometry() || this.windowState.applied;
+    }, 250);
+  }
+  /**
+   * 获取窗口当前的位置和大小
+   * @returns {Object|null} - {x, y, width, height}，无法获取时返回null
+   */
+  getCurrentGeometry() {
+    if (typeof window.screenX !== 'number' || !window.outerWidth) return null;
+    return { x: window.screenX, y: window.screenY, width: window.outerWidth, height: window.outerHeight };
+  }
+  /**
+   * 检查用户是否拖动或调整过窗口，有则记住新的位置和大小
+   */
+  detectUserGeometry() {
+    const applied = this.windowState.applied;
+    const current = this.getCurrentGeometry();
+    if (!this.config.rememberGeometry || !applied || !current || this.windowState.syncing) return;
+    const moved = Math.abs(current.x - applied.x) > 2 || Math.abs(current.y - applied.y) > 2;
+    const resized = Math.abs(current.width - applied.width) > 2 || Math.abs(current.height - applied.height) > 2;
+    if (!moved && !resized) return;
+    const remembered = { ...(this.windowState.remembered || {}) };
+    if (moved) {
+      remembered.x = current.x;
+      remembered.y = current.y;
+    }
+    if (resized) {
+      remembered.width = current.width;
+      remembered.height = current.height;
+    }
+    this.windowState.remembered = remembered;
+    this.windowState.applied = current;
+    this.storage.set(this.getWindowStorageKey(), remembered);
+  }
+  /**
+   * 忘记用户调整过的窗口位置和大小，恢复自动停靠和调整
+   */
+  resetWindowGeometry() {
+    this.windowState.remembered = null;
+    this.windowState.applied = null;
+    this.storage.remove(this.getWindowStorageKey());
+    const unit = this.displayUnits[this.currentUnitIndex];
+    if (unit && this.isReading) {
+      this.renderSubtitle(this.subtitleSourceHTML);
+    }
+  }
+  /**
+   * 获取窗口位置的存储键名
+   * @returns {string} - 键名
+   */
+  getWindowStorageKey() {
+    return `${this.config.storageKey}:window`;
+  }
+  /**
+   * 切换文档模式
+   * @param {boolean} enabled - 是否显示全文
+   */
+  setDocumentMode(enabled) {
+    this.config.documentMode = !!enabled;
+    this.elements.content.classList.toggle('document-content', !!enabled);
+    this.elements.content.classList.toggle('hidden-content', !enabled);
+    this.config.container.classList.toggle('document-mode', !!enabled);
+    if (!enabled) {
+      this.clearElementHighlight();
+    }
   }
   /**
    * 设置事件监听
    */
   setupEvents() {
     // 页面关闭事件
-    window.addEventListener('beforeunload', () => {
-      speechSynthesis.cancel();
+    this.handleUnload = () => {
+      this.engine.cancel();
+    };
+    window.addEventListener('beforeunload', this.handleUnload);
+    // 语音列表变化时清除语音缓存
+    this.unsubscribeVoices = this.engine.onVoicesChanged(() => {
+      this.voiceCache = {};
+      this.emit('voiceschanged', { voices: this.engine.getVoices() });
+    });
+    // 文档模式下点击段落从该段开始朗读
+    this.handleContentClick = (event) => {
+      if (!this.config.documentMode) return;
+      // 选择文字时不触发跳转
+      const selection = window.getSelection ? String(window.getSelection()) : '';
+      if (selection) return;
+      this.readFromElement(event.target);
+    };
+    this.elements.content.addEventListener('click', this.handleContentClick);
+    // 快捷键：独立窗口监听整个页面，嵌入时只在阅读器获得焦点时生效
+    if (this.config.shortcuts !== false) {
+      this.keyboardTarget = this.config.standalone ? document : this.config.container;
+      if (!this.config.standalone && !this.config.container.hasAttribute('tabindex')) {
+        this.config.container.setAttribute('tabindex', '0');
+        this.addedTabIndex = true;
+      }
+      this.handleKeydown = event => this.onKeydown(event);
+      this.keyboardTarget.addEventListener('keydown', this.handleKeydown);
+    }
+    if (this.config.standalone) {
+      this.setupWindowDrag();
+    }
+  }
+  /**
+   * 独立窗口模式下拖动字幕移动窗口，并记录用户调整的窗口大小
+   */
+  setupWindowDrag() {
+    this.handleWindowResize = () => this.detectUserGeometry();
+    window.addEventListener('resize', this.handleWindowResize);
+    if (!this.config.draggable) return;
+    this.handlePointerDown = (event) => {
+      if (event.button !== 0) return;
+      const start = { x: event.screenX, y: event.screenY, windowX: window.screenX, windowY: window.screenY };
+      let moved = false;
+      const onMove = (moveEvent) => {
+        const x = start.windowX + moveEvent.screenX - start.x;
+        const y = start.windowY + moveEvent.screenY - start.y;
+        if (!moved && Math.abs(x - start.windowX) + Math.abs(y - start.windowY) < 3) return;
+        moved = true;
+        window.moveTo(x, y);
+      };
+      const onUp = () => {
+        document.removeEventListener('pointermove', onMove);
+        document.removeEventListener('pointerup', onUp);
+        if (moved) this.detectUserGeometry();
+      };
+      document.addEventListener('pointermove', onMove);
+      document.addEventListener('pointerup', onUp);
+    };
+    this.elements.subtitle.addEventListener('pointerdown', this.handlePointerDown);
+  }
+  /**
+   * 处理快捷键
+   * @param {KeyboardEvent} event - 键盘事件
+   */
+  onKeydown(event) {
+    if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return;
+    // 在输入框、按钮等控件中按键时不处理
+    const target = event.target;
+    if (target && (target.isContentEditable || /^(input|textarea|select|button)$/i.test(target.tagName || ''))) return;
+    const shortcuts = { ...SubtitleReader.DEFAULT_SHORTCUTS, ...this.config.shortcuts };
+    const action = shortcuts[event.key];
+    const handler = typeof action === 'function' ? action : SubtitleReader.SHORTCUT_ACTIONS[action];
+    if (!handler) return;
+    event.preventDefault();
+    handler(this, event);
+  }
+  /**
+   * 切换暂停和继续，未在朗读时从上次停止的位置开始
+   */
+  togglePause() {
+    if (this.isReading && !this.isPaused) {
+      this.pause();
+    } else {
+      this.play();
+    }
+  }
+  /**
+   * 开始或继续朗读：暂停中时继续，未在朗读时从上次停止的位置开始，正在朗读时不做任何操作
+   */
+  play() {
+    if (!this.isReading) {
+      const index = this.currentUnitIndex >= 0 && this.currentUnitIndex < this.displayUnits.length - 1
+        ? this.currentUnitIndex : 0;
+      this.startReading(index);
+    } else if (this.isPaused) {
+      this.resume();
+    }
+  }
+  /**
+   * 调整语速，快捷键使用
+   * @param {number} delta - 语速变化量
+   */
+  adjustRate(delta) {
+    this.setRate(Math.round(Math.max(0.5, Math.min(3, this.config.speechRate + delta)) * 10) / 10);
+  }
+  /**
+   * 设置语速，朗读中时从当前单元开头按新语速继续
+   * @param {number} rate - 语速(0.1-10)
+   */
+  setRate(rate) {
+    rate = Math.max(0.1, Math.min(10, Number(rate) || 1));
+    if (rate === this.config.speechRate) return;
+    this.config.speechRate = rate;
+    this.applySpeechSettings();
+    this.emit('ratechange', { rate });
+  }
+  /**
+   * 设置音调，朗读中时从当前单元开头生效
+   * @param {number} pitch - 音调(0-2)
+   */
+  setPitch(pitch) {
+    pitch = Math.max(0, Math.min(2, Number(pitch)));
+    if (isNaN(pitch) || pitch === this.config.speechPitch) return;
+    this.config.speechPitch = pitch;
+    this.applySpeechSettings();
+    this.emit('pitchchange', { pitch });
+  }
+  /**
+   * 设置音量，朗读中时从当前单元开头生效
+   * @param {number} volume - 音量(0-1)
+   */
+  setVolume(volume) {
+    volume = Math.max(0, Math.min(1, Number(volume)));
+    if (isNaN(volume) || volume === this.config.speechVolume) return;
+    this.config.speechVolume = volume;
+    this.applySpeechSettings();
+    this.emit('volumechange', { volume });
+  }
+  /**
+   * 设置朗读某种语言时使用的语音，朗读中时从当前单元开头生效
+   * @param {SpeechSynthesisVoice|string} voice - 语音或语音名称
+   * @param {string} lang - 语言代码，默认为defaultLang
+   */
+  setVoice(voice, lang = this.config.defaultLang) {
+    const name = typeof voice === 'string' ? voice : voice && voice.name;
+    if (!name) return;
+    const primary = lang.split('-')[0].toLowerCase();
+    this.voiceOverrides[primary] = name;
+    this.voiceCache = {};
+    this.applySpeechSettings();
+    this.emit('voicechange', { voice: name, lang });
+  }
+  /**
+   * 让新的语音设置从当前单元开始生效，暂停中时在继续朗读后生效
+   */
+  applySpeechSettings() {
+    if (this.isReading && this.currentUnitIndex >= 0) {
+      this.seekToUnit(this.currentUnitIndex);
+    }
+  }
+  /**
+   * 获取单元的语速、音调和音量，应用第一条匹配的rateRules规则
+   * @param {Object} unit - 显示单元
+   * @returns {Object} - {rate, pitch, volume}
+   */
+  getUnitProsody(unit) {
+    const element = unit && unit.element;
+    const rule = this.config.rateRules.find(item => {
+      if (typeof item.match === 'function') return item.match(unit, this);
+      return !!(item.selector && element && element.closest && element.closest(item.selector));
+    });
+    // 按倍数调整并限制在有效范围内，保留两位小数
+    const scale = (key, value, min, max) => {
+      const factor = rule && typeof rule[key] === 'number' ? rule[key] : 1;
+      return Math.round(Math.max(min, Math.min(max, value * factor)) * 100) / 100;
+    };
+    return {
+      rate: scale('rate', this.config.speechRate, 0.1, 10),
+      pitch: scale('pitch', this.config.speechPitch, 0, 2),
+      volume: scale('volume', this.config.speechVolume, 0, 1)
+    };
+  }
+  /**
+   * 获取文档标题，用于系统媒体控制
+   * @returns {string} - 标题
+   */
+  getDocumentTitle() {
+    if (this.config.title) return this.config.title;
+    const heading = this.elements.content && this.elements.content.querySelector('h1, h2, h3, h4, h5, h6');
+    return (heading && heading.textContent.trim()) || document.title || '';
+  }
+  /**
+   * 更新系统媒体控制的播放状态，开始朗读的阅读器接管媒体键
+   * @param {string} state - 'playing'、'paused' 或 'none'
+   */
+  updateMediaSession(state) {
+    const session = this.config.mediaSession && typeof navigator !== 'undefined' && navigator.mediaSession;
+    if (!session) return;
+    if (state === 'playing' && SubtitleReader.mediaSessionOwner !== this) {
+      // 页面上的其他阅读器不再响应媒体键
+      SubtitleReader.mediaSessionOwner = this;
+      const actions = {
+        play: () => this.play(),
+        pause: () => this.pause(),
+        stop: () => this.stopReading(),
+        previoustrack: () => this.previous(),
+        nexttrack: () => this.next()
+      };
+      Object.entries(actions).forEach(([action, handler]) => {
+        try {
+          session.setActionHandler(action, handler);
+        } catch (e) {
+          // 浏览器不支持的动作会抛出异常
+        }
+      });
+    }
+    if (SubtitleReader.mediaSessionOwner !== this) return;
+    // 朗读队列中的下一个文档时标题会变化
+    if (state === 'playing' && typeof MediaMetadata !== 'undefined') {
+      session.metadata = new MediaMetadata({ title: this.getDocumentTitle(), artist: 'SubtitleReader' });
+    }
+    session.playbackState = state;
+  }
+  /**
+   * 移除系统媒体控制的处理函数
+   */
+  clearMediaSession() {
+    const session = typeof navigator !== 'undefined' && navigator.mediaSession;
+    if (!session || SubtitleReader.mediaSessionOwner !== this) return;
+    ['play', 'pause', 'stop', 'previoustrack', 'nexttrack'].forEach(action => {
+      try {
+        session.setActionHandler(action, null);
+      } catch (e) {
+        // 忽略不支持的动作
+      }
     });
+    session.metadata = null;
+    session.playbackState = 'none';
+    SubtitleReader.mediaSessionOwner = null;
+  }
+  /**
+   * 销毁阅读器，停止朗读并移除DOM、事件监听和容器上的样式
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.stopSpeech();
+    this.destroyed = true;
+    clearTimeout(this.startTimer);
+    clearTimeout(this.voicesTimer);
+    if (this.unsubscribeStartVoices) {
+      this.unsubscribeStartVoices();
+      this.unsubscribeStartVoices = null;
+    }
+    if (this.unsubscribeVoices) {
+      this.unsubscribeVoices();
+      this.unsubscribeVoices = null;
+    }
+    if (this.handleUnload) {
+      window.removeEventListener('beforeunload', this.handleUnload);
+    }
+    if (this.handleKeydown) {
+      this.keyboardTarget.removeEventListener('keydown', this.handleKeydown);
+      this.handleKeydown = null;
+    }
+    if (this.addedTabIndex) {
+      this.config.container.removeAttribute('tabindex');
+    }
+    if (this.handleWindowResize) {
+      window.removeEventListener('resize', this.handleWindowResize);
+    }
+    if (this.handlePointerDown) {
+      this.elements.subtitle.removeEventListener('pointerdown', this.handlePointerDown);
+    }
+    clearTimeout(this.windowState.syncTimer);
+    this.clearMediaSession();
+    const container = this.config.container;
+    if (this.elements.content) {
+      this.elements.content.removeEventListener('click', this.handleContentClick);
+      this.elements.content.remove();
+    }
+    if (this.elements.subtitle) {
+      this.elements.subtitle.remove();
+    }
+    if (container && container.classList) {
+      container.classList.remove('subtitle-reader-container', 'document-mode');
+      container.removeAttribute('data-theme');
+      container.removeAttribute('data-position');
+      Object.values(SubtitleReader.THEME_PROPERTIES).forEach(property => container.style.removeProperty(property));
+    }
+    // 页面上没有其他独立窗口模式的阅读器时恢复页面样式
+    if (this.config.standalone && !document.querySelector('.subtitle-reader-container')) {
+      document.documentElement.classList.remove('subtitle-reader-standalone');
+    }
+    this.elements = { subtitle: null, content: null };
+    this.displayUnits = [];
+    this.queue = [];
+    this.endDocument();
+    this.listeners = {};
   }
   /**
    * 设置文本内容并开始朗读
-   * @param {string} text - 要朗读的Markdown文本
+   * @param {string} text - 要朗读的文本
+   * @param {string} format - 输入格式，默认使用format选项
+   * @param {boolean} streaming - 是否作为流式文本的开头，默认使用streaming选项
    */
-  setText(text) {
+  setText(text, format = this.config.format, streaming = this.config.streaming) {
+    // 停止正在朗读的旧内容，旧语音的回调会因会话号不符而被忽略，不会触发完成事件或清除新文本的进度；
+    // 不释放语音协调器，队列中的下一个文档开始前其他阅读器不会插入
+    if (this.isReading) {
+      this.closeCue();
+      this.speechSession++;
+      clearTimeout(this.pauseTimer);
+      this.engine.cancel();
+      this.isReading = false;
+      this.isPaused = false;
+      this.pendingSeek = false;
+    }
+    clearTimeout(this.startTimer);
     this.config.markdownText = text;
-    if (!window.marked) {
-      console.error('SubtitleReader: 需要marked.js库来解析markdown');
+    clearTimeout(this.voicesTimer);
+    if (this.unsubscribeStartVoices) {
+      this.unsubscribeStartVoices();
+      this.unsubscribeStartVoices = null;
+    }
+    const parser = SubtitleReader.INPUT_FORMATS[format];
+    if (!parser) {
+      this.reportError('unknown-format', `不支持的输入格式：${format}`);
+      return;
+    }
+    if (format === 'markdown' && !window.marked) {
+      this.reportError('marked-missing', '需要marked.js库来解析markdown');
       return;
     }
-    // 解析markdown
-    this.elements.content.innerHTML = marked.parse(this.config.markdownText);
+    this.startPending = true;
+    // 按输入格式解析为HTML
+    this.clearElementHighlight();
+    this.displayUnits = [];
+    this.streamWaitIndex = null;
+    this.streamMode = !!streaming;
+    this.streamOpen = this.streamMode;
+    if (this.streamMode) {
+      // 流式模式只渲染已完整的部分，其余等待后续文本
+      this.streamFormat = format;
+      this.streamCommitted = 0;
+      this.elements.content.innerHTML = '';
+      this.contentVersion++;
+      this.commitStream();
+    } else {
+      this.elements.content.innerHTML = parser(text, this);
+      this.contentVersion++;
+    }
     // 显示加载动画
     this.showAnimation('loading');
     // 独立窗口模式调整窗口大小
     if (this.config.standalone) {
-      const screenHeight = window.screen.availHeight;
-      window.resizeTo(this.config.minWindowWidth, this.config.singleLineHeight);
-      window.moveTo((window.screen.availWidth - this.config.minWindowWidth) / 2, screenHeight - this.config.singleLineHeight);
+      this.windowState.group = null;
+      this.setWindowGeometry(this.config.minWindowWidth, this.config.singleLineHeight);
     }
-    // 语音可用时开始朗读
-    if (speechSynthesis.getVoices().length) {
-      setTimeout(() => this.startReading(), 500);
+    // 语音可用时开始朗读，开启resume时从保存的位置继续
+    const begin = () => {
+      clearTimeout(this.startTimer);
+      this.startTimer = setTimeout(() => {
+        if (this.config.resume && this.getSavedProgress()) {
+          this.resumeReading();
+        } else {
+          this.startReading();
+        }
+      }, 500);
+    };
+    if (this.engine.getVoices().length) {
+      begin();
     } else {
-      speechSynthesis.onvoiceschanged = () => {
-        speechSynthesis.onvoiceschanged = null;
-        setTimeout(() => this.startReading(), 500);
-      };
+      const unsubscribe = this.engine.onVoicesChanged(() => {
+        unsubscribe();
+        this.unsubscribeStartVoices = null;
+        clearTimeout(this.voicesTimer);
+        begin();
+      });
+      this.unsubscribeStartVoices = unsubscribe;
+      // 一直没有可用语音时显示错误，而不是停在加载动画
+      this.voicesTimer = setTimeout(() => {
+        unsubscribe();
+        this.unsubscribeStartVoices = null;
+        this.startPending = false;
+        this.reportError('no-voices', '没有可用的语音');
+      }, this.config.voicesTimeout);
+    }
+  }
+  /**
+   * 追加流式文本，没有进行中的流时开始新的流
+   * @param {string} chunk - 新到达的文本
+   */
+  appendText(chunk) {
+    if (!this.streamOpen) {
+      this.setText(chunk, this.config.format, true);
+      return;
+    }
+    this.config.markdownText += chunk;
+    this.commitStream();
+  }
+  /**
+   * 结束流式文本，朗读剩余内容后正常完成
+   */
+  endStream() {
+    if (!this.streamOpen) return;
+    this.streamOpen = false;
+    this.commitStream(true);
+  }
+  /**
+   * 查找流式文本中可以朗读的位置：最后一个完整的句子、段落、标题或列表项之后
+   * @param {string} text - 已到达的文本
+   * @returns {number} - 可朗读部分的长度
+   */
+  findStreamCommitPoint(text) {
+    let point = 0;
+    // 句末标点（可带引号括号）后跟空白或其他文字；英文句点需后跟空白，避免拆开小数和缩写
+    const pattern = /[。！？…]+[」』”’"')）]*(?=[^。！？…」』”’"')）])|[.!?]+[”’"')）]*(?=\s)|\n\s*\n|\n(?=\s*(?:#{1,6}\s|[-*+]\s|\d+[.)]\s|>|\|))/g;
+    let match;
+    while ((match = pattern.exec(text))) {
+      point = match.index + match[0].length;
+    }
+    // 未闭合的代码块等结束后再朗读
+    const fences = [...text.slice(0, point).matchAll(/^\s*(```|~~~)/gm)];
+    if (fences.length % 2) {
+      point = fences[fences.length - 1].index;
+    }
+    return point;
+  }
+  /**
+   * 渲染流式文本中新完整的部分，并继续朗读新增的单元
+   * 只解析上次提交位置之后的文本并追加到内容末尾，后到达的标记不会改变已朗读的单元
+   * @param {boolean} final - 流已结束，渲染全部文本
+   */
+  commitStream(final = false) {
+    const text = this.config.markdownText;
+    const point = final ? text.length : this.findStreamCommitPoint(text);
+    if (point > this.streamCommitted) {
+      const html = SubtitleReader.INPUT_FORMATS[this.streamFormat](text.slice(this.streamCommitted, point), this);
+      this.streamCommitted = point;
+      const template = document.createElement('template');
+      template.innerHTML = html;
+      const fragment = template.content;
+      // 分开到达的列表项接在上一个列表后面，保持“第N项”的编号
+      const first = fragment.firstElementChild;
+      const last = this.elements.content.lastElementChild;
+      if (first && last && /^(UL|OL)$/.test(first.tagName) && first.tagName === last.tagName) {
+        last.append(...first.childNodes);
+        first.remove();
+      }
+      this.elements.content.appendChild(fragment);
+      this.contentVersion++;
+      if (this.isReading) {
+        // 已朗读部分的单元位置不变，朗读中的块继续有效
+        this.prepareUnits();
+        const unit = this.displayUnits[this.currentUnitIndex];
+        if (unit && this.config.documentMode) {
+          this.highlightElement(unit.element);
+        }
+      }
+    }
+    if (!this.isReading) return;
+    const index = this.streamWaitIndex;
+    if (index === null) {
+      // 正在朗读最后一块时预取新到达的内容
+      const last = this.lastQueuedChunk;
+      if (last && last.endIndex < this.displayUnits.length) {
+        this.prefetchChunk(this.speechSession);
+      }
+      return;
+    }
+    if (index < this.displayUnits.length) {
+      this.streamWaitIndex = null;
+      if (this.isPaused) {
+        this.showUnit(index);
+        this.pendingSeek = true;
+      } else {
+        this.speakUnit(index);
+      }
+    } else if (final) {
+      this.streamWaitIndex = null;
+      this.finishReading();
+    }
+  }
+  /**
+   * 朗读页面中的元素
+   * @param {Node} node - 元素或文本节点，内容会被复制到阅读器中
+   */
+  readElement(node) {
+    if (!node) return;
+    if (node.nodeType === Node.ELEMENT_NODE) {
+      this.setText(node.outerHTML, 'html');
+    } else {
+      this.setText(node.textContent || '', 'text');
+    }
+  }
+  /**
+   * 朗读页面中当前选中的内容
+   * @returns {boolean} - 有选中内容时返回true
+   */
+  readSelection() {
+    const selection = window.getSelection ? window.getSelection() : null;
+    if (!selection || selection.isCollapsed || !selection.rangeCount || !String(selection).trim()) {
+      return false;
+    }
+    // 复制选区中的节点，保留标题、列表等结构
+    const fragment = document.createElement('div');
+    for (let i = 0; i < selection.rangeCount; i++) {
+      fragment.appendChild(selection.getRangeAt(i).cloneContents());
+    }
+    this.setText(fragment.innerHTML, 'html');
+    return true;
+  }
+  /**
+   * 清理HTML片段，只保留 SubtitleReader.SANITIZE_TAGS 中的标签和属性
+   * 不在列表中的标签只保留文字，脚本、样式等标签连同内容一起移除；链接只允许http、https和mailto
+   * @param {string} html - HTML片段
+   * @returns {string} - 清理后的HTML
+   */
+  sanitizeHTML(html) {
+    // template中的内容不会执行脚本或加载资源
+    const template = document.createElement('template');
+    template.innerHTML = html;
+    const root = template.content || template;
+    const { SANITIZE_TAGS, SANITIZE_GLOBAL_ATTRIBUTES, SANITIZE_DROP_TAGS, SANITIZE_URL_PROTOCOLS } = SubtitleReader;
+    // 按页面地址解析后检查协议，编码或插入空白的 javascript: 等链接也会被识别
+    const isSafeUrl = value => {
+      try {
+        return SANITIZE_URL_PROTOCOLS.includes(new URL(value, window.location.href).protocol);
+      } catch (e) {
+        return false;
+      }
+    };
+    const clean = parent => {
+      [...parent.childNodes].forEach(node => {
+        if (node.nodeType === Node.COMMENT_NODE) {
+          node.remove();
+          return;
+        }
+        if (node.nodeType !== Node.ELEMENT_NODE) return;
+        const tag = node.tagName.toLowerCase();
+        if (SANITIZE_DROP_TAGS.includes(tag) || node.namespaceURI !== 'http://www.w3.org/1999/xhtml') {
+          node.remove();
+          return;
+        }
+        clean(node);
+        const allowed = SANITIZE_TAGS[tag];
+        if (!allowed) {
+          // 不允许的标签只保留其中的内容
+          node.replaceWith(...node.childNodes);
+          return;
+        }
+        [...node.attributes].forEach(attribute => {
+          const name = attribute.name.toLowerCase();
+          const keep = (SANITIZE_GLOBAL_ATTRIBUTES.includes(name) || allowed.includes(name)) &&
+            (!['href', 'src'].includes(name) || isSafeUrl(attribute.value));
+          if (!keep) {
+            node.removeAttribute(attribute.name);
+          }
+        });
+      });
+    };
+    clean(root);
+    const container = document.createElement('div');
+    container.appendChild(root.cloneNode ? root.cloneNode(true) : root);
+    return container.innerHTML;
+  }
+  /**
+   * 解析SRT或WebVTT字幕
+   * @param {string} text - 字幕文件内容
+   * @returns {Array} - 字幕条目数组 {start, end, text}，时间单位为毫秒
+   */
+  parseCues(text) {
+    const timePattern = /(?:(\d+):)?(\d{1,2}):(\d{2})[.,](\d{1,3})/;
+    const toMs = (value) => {
+      const match = value.match(timePattern);
+      if (!match) return 0;
+      const [, hours = 0, minutes, seconds, fraction] = match;
+      return ((Number(hours) * 60 + Number(minutes)) * 60 + Number(seconds)) * 1000 +
+        Number(fraction.padEnd(3, '0'));
+    };
+    const cues = [];
+    const blocks = text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split(/\n\s*\n/);
+    for (const block of blocks) {
+      const lines = block.split('\n').filter(line => line.trim());
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+      // 跳过WEBVTT文件头、NOTE、STYLE等没有时间的块
+      if (timingIndex === -1) continue;
+      const [start, end] = lines[timingIndex].split('-->');
+      // 去掉<i>、<v 说话人>等标签，多行合并为一个条目
+      const cueText = lines.slice(timingIndex + 1)
+        .map(line => line.replace(/<[^>]*>/g, '').trim())
+        .filter(line => line)
+        .join(' ');
+      if (!cueText) continue;
+      cues.push({ start: toMs(start), end: toMs(end), text: cueText });
     }
+    return cues;
   }
   /**
    * 在字幕元素中显示动画
@@ -122,7 +1030,10 @@ class SubtitleReader {
   showAnimation(type) {
     const itemClass = type === 'loading' ? 'dot' : 'bar';
     const items = Array(5).fill(`<div class="animation-item ${itemClass}"></div>`).join('');
-    this.elements.subtitle.innerHTML = `<div class="animation-container">${items}</div>`;
+    const label = type === 'loading' ? '加载中' : '朗读结束';
+    this.subtitleUnitIndex = -1;
+    this.elements.subtitle.removeAttribute('aria-busy');
+    this.elements.subtitle.innerHTML = `<div class="animation-container" role="img" aria-label="${label}">${items}</div>`;
   }
   /**
    * 获取文本宽度
@@ -130,195 +1041,240 @@ class SubtitleReader {
    * @returns {number} - 文本的宽度
    */
   getTextWidth(text) {
-    return this.textContext.measureText(text).width + 60;
+    let width = 0;
+    for (const char of text) {
+      width += this.getCharWidth(char);
+    }
+    return width + 60;
+  }
+  /**
+   * 获取单个字符的宽度，结果按字符缓存，避免反复调用measureText
+   * @param {string} char - 字符
+   * @returns {number} - 字符宽度
+   */
+  getCharWidth(char) {
+    let width = this.charWidthCache.get(char);
+    if (width === undefined) {
+      if (this.textContext) {
+        width = this.textContext.measureText(char).width;
+      } else {
+        // 全角字符按字号、半角字符按一半宽度估算
+        const fullWidth = /[\u1100-\u115F\u2E80-\uA4CF\uAC00-\uD7A3\uF900-\uFAFF\uFE30-\uFE4F\uFF00-\uFF60\uFFE0-\uFFE6]/.test(char);
+        width = fullWidth ? this.measureFontSize : this.measureFontSize / 2;
+      }
+      this.charWidthCache.set(char, width);
+    }
+    return width;
+  }
+  /**
+   * 计算文本每个位置之前的累计宽度，用于二分查找断点
+   * @param {string} text - 要测量的文本
+   * @returns {Float64Array} - widths[i] 为前i个UTF-16单元的宽度
+   */
+  getPrefixWidths(text) {
+    const widths = new Float64Array(text.length + 1);
+    for (let i = 0; i < text.length; i++) {
+      const code = text.charCodeAt(i);
+      // 代理对按完整字符测量，宽度计在低位之后
+      if (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) {
+        widths[i + 1] = widths[i];
+        widths[i + 2] = widths[i] + this.getCharWidth(text.slice(i, i + 2));
+        i++;
+      } else {
+        widths[i + 1] = widths[i] + this.getCharWidth(text[i]);
+      }
+    }
+    return widths;
+  }
+  /**
+   * 清除字符宽度和分割结果缓存，字体或字幕宽度变化后调用
+   */
+  clearMeasureCache() {
+    this.charWidthCache.clear();
+    this.splitCache.clear();
+    this.invalidateUnits();
+  }
+  /**
+   * 标记显示单元需要重新生成，修改过滤规则或渲染器后调用
+   */
+  invalidateUnits() {
+    this.unitsVersion = -1;
   }
   /**
-   * 过滤URL和表情符号，但保持文本长度（用于朗读处理）
+   * 过滤文本，返回朗读用文本
    * @param {string} text - 要过滤的文本
-   * @returns {string} - 过滤后的文本，URL位置用空格占位
+   * @returns {string} - 按过滤规则处理后的朗读文本
    */
   filterTextKeepLength(text) {
-    // 更全面的URL过滤
-    return text
-      // 处理http/https链接
-      .replace(/https?:\/\/[^\s]+/g, match => ' '.repeat(match.length))
-      // 处理www开头的网址
-      .replace(/www\.[^\s]+/g, match => ' '.repeat(match.length))
-      // 处理常见域名格式 (xxx.com, xxx.net等)
-      .replace(/[a-zA-Z0-9][a-zA-Z0-9-]*\.[a-zA-Z]{2,}(\.[a-zA-Z]{2,})?[^\s]*/g, match => ' '.repeat(match.length))
-      // 处理邮箱地址
-      .replace(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, match => ' '.repeat(match.length))
-      // 过滤所有表情符号和特殊Unicode字符
-      .replace(/[\u{1F000}-\u{1FFFF}\u{2600}-\u{27BF}\u{2B50}\u{2B55}]/gu, '')
-      // 过滤其他特殊字符，但保留基本标点和空格
-      .replace(/[^\p{L}\p{N}\p{P}\p{Z}\p{M}]/gu, '')
-      // 规范化空格
-      .replace(/\s+/g, ' ');
-  }
-  /**
-   * 完全过滤URL和表情符号（用于显示处理）
+    return this.filterPipeline.apply(text).speech.text;
+  }
+  /**
+   * 过滤文本，返回显示用文本
    * @param {string} text - 要过滤的文本
-   * @returns {string} - 完全过滤后的文本
+   * @returns {string} - 按过滤规则处理后的显示文本
    */
   filterTextComplete(text) {
-    // 更全面的URL过滤
-    return text
-      // 处理http/https链接
-      .replace(/https?:\/\/[^\s]+/g, '')
-      // 处理www开头的网址
-      .replace(/www\.[^\s]+/g, '')
-      // 处理常见域名格式 (xxx.com, xxx.net等)
-      .replace(/[a-zA-Z0-9][a-zA-Z0-9-]*\.[a-zA-Z]{2,}(\.[a-zA-Z]{2,})?[^\s]*/g, '')
-      // 处理邮箱地址
-      .replace(/[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, '')
-      // 过滤所有表情符号和特殊Unicode字符
-      .replace(/[\u{1F000}-\u{1FFFF}\u{2600}-\u{27BF}\u{2B50}\u{2B55}]/gu, '')
-      // 过滤其他特殊字符，但保留基本标点和空格
-      .replace(/[^\p{L}\p{N}\p{P}\p{Z}\p{M}]/gu, '')
-      // 规范化空格并修剪
-      .replace(/\s+/g, ' ')
-      .trim();
+    return this.filterPipeline.apply(text).display.text;
+  }
+  /**
+   * 获取分词器，不支持Intl.Segmenter的环境返回null
+   * @param {string} granularity - 'sentence' 或 'word'
+   * @param {string} lang - 语言代码
+   * @returns {Intl.Segmenter|null} - 分词器
+   */
+  getSegmenter(granularity, lang) {
+    if (typeof Intl === 'undefined' || !Intl.Segmenter) return null;
+    const key = `${granularity}:${lang}`;
+    if (!this.segmenters[key]) {
+      try {
+        this.segmenters[key] = new Intl.Segmenter(lang, { granularity });
+      } catch (e) {
+        // 无效的语言代码使用默认区域设置
+        this.segmenters[key] = new Intl.Segmenter(undefined, { granularity });
+      }
+    }
+    return this.segmenters[key];
+  }
+  /**
+   * 按句子或词切分文本
+   * @param {string} text - 要切分的文本
+   * @param {string} granularity - 'sentence' 或 'word'
+   * @param {string} lang - 语言代码
+   * @returns {Array} - 片段数组 {segment, index}
+   */
+  segmentText(text, granularity, lang) {
+    const segmenter = this.getSegmenter(granularity, lang);
+    if (segmenter) {
+      return [...segmenter.segment(text)].map(({ segment, index }) => ({ segment, index }));
+    }
+    // 不支持Intl.Segmenter时按标点和空白近似切分
+    const pattern = granularity === 'sentence'
+      ? /[^。！？!?]+(?:[。！？!?]+\s*|$)|[。！？!?]+\s*/g
+      : /\s+|[\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]|[^\s\u2E80-\u9FFF\uF900-\uFAFF\uFF00-\uFFEF]+/g;
+    return [...text.matchAll(pattern)].map(match => ({ segment: match[0], index: match.index }));
   }
   /**
    * 智能分割文本
+   * 先按句子分割，过长的句子按分句标点分割，仍然过长时按词边界分割
    * @param {string} text - 要分割的文本
+   * @param {string} lang - 语言代码，决定句子和词的边界
+   * @param {boolean} splitSentences - 文本足够短时是否仍按句子分割
    * @returns {Array} - 文本单元数组
    */
-  smartSplitText(text) {
+  smartSplitText(text, lang = this.config.defaultLang, splitSentences = false) {
+    const cacheKey = `${lang}\u0000${this.config.maxTextWidth}\u0000${splitSentences}\u0000${text}`;
+    const cached = this.splitCache.get(cacheKey);
+    if (cached) return cached;
+    let units;
     // 如果文本已经足够短，直接返回
-    if (this.getTextWidth(text) <= this.config.maxTextWidth) {
-      return [{ text, start: 0, end: text.length }];
-    }
-    // 尝试按句子分割（句号、问号、感叹号）
-    const sentenceRegex = /[^。！？!?]+[。！？!?]/g;
-    let matches = [...text.matchAll(sentenceRegex)];
-    if (matches.length > 0) {
-      // 检查每个句子是否需要继续拆分
-      const units = [];
-      let currentPos = 0;
-      for (const match of matches) {
-        const sentence = match[0];
-        const start = match.index;
-        const end = start + sentence.length;
-        if (this.getTextWidth(sentence) <= this.config.maxTextWidth) {
-          units.push({
-            text: sentence,
-            start,
-            end
-          });
+    if (!splitSentences && this.getTextWidth(text) <= this.config.maxTextWidth) {
+      units = [{ text, start: 0, end: text.length }];
+    } else {
+      units = [];
+      for (const { segment, index } of this.segmentText(text, 'sentence', lang)) {
+        if (!segment.trim()) continue;
+        if (this.getTextWidth(segment) <= this.config.maxTextWidth) {
+          units.push({ text: segment, start: index, end: index + segment.length });
         } else {
           // 如果句子太长，按标点符号分割
-          const subUnits = this.splitByPunctuation(sentence, start);
-          units.push(...subUnits);
-        }
-        currentPos = end;
-      }
-      // 处理剩余文本
-      if (currentPos < text.length) {
-        const remaining = text.substring(currentPos);
-        if (remaining.trim()) {
-          if (this.getTextWidth(remaining) <= this.config.maxTextWidth) {
-            units.push({
-              text: remaining,
-              start: currentPos,
-              end: text.length
-            });
-          } else {
-            const subUnits = this.splitByPunctuation(remaining, currentPos);
-            units.push(...subUnits);
-          }
+          units.push(...this.splitByPunctuation(segment, index, lang));
         }
       }
-      return units;
     }
-    // 如果找不到句子，按标点符号分割
-    return this.splitByPunctuation(text, 0);
+    this.splitCache.set(cacheKey, units);
+    return units;
   }
   /**
-   * 按标点符号分割文本
+   * 按分句标点分割文本
    * @param {string} text - 要分割的文本
    * @param {number} basePosition - 原始文本中的基础位置
+   * @param {string} lang - 语言代码
    * @returns {Array} - 文本单元数组
    */
-  splitByPunctuation(text, basePosition = 0) {
-    const punctRegex = /[^，、；,.;]+[，、；,.;]?/g;
-    let matches = [...text.matchAll(punctRegex)];
+  splitByPunctuation(text, basePosition = 0, lang = this.config.defaultLang) {
+    const segments = this.segmentText(text, 'word', lang);
+    // 在逗号、顿号、分号、冒号及其后的空白之后断开
+    const breaks = [];
+    segments.forEach(({ segment, index }, i) => {
+      if (!/^[，、；：,;:]+$/.test(segment.trim()) || !segment.trim()) return;
+      const next = segments[i + 1];
+      breaks.push(next && !next.segment.trim() ? next.index + next.segment.length : index + segment.length);
+    });
+    if (breaks[breaks.length - 1] !== text.length) {
+      breaks.push(text.length);
+    }
     const units = [];
-    if (matches.length > 0) {
-      let currentPos = 0;
-      for (const match of matches) {
-        const phrase = match[0];
-        const start = basePosition + match.index;
-        const end = start + phrase.length;
+    let start = 0;
+    for (const end of breaks) {
+      const phrase = text.slice(start, end);
+      if (phrase.trim()) {
         if (this.getTextWidth(phrase) <= this.config.maxTextWidth) {
-          units.push({
-            text: phrase,
-            start,
-            end
-          });
+          units.push({ text: phrase, start: basePosition + start, end: basePosition + end });
         } else {
-          // 如果短语仍然太长，强制分割
-          const forceSplitUnits = this.forceSplitText(phrase, start);
-          units.push(...forceSplitUnits);
-        }
-        currentPos = match.index + phrase.length;
-      }
-      // 处理剩余文本
-      if (currentPos < text.length) {
-        const remaining = text.substring(currentPos);
-        if (remaining.trim()) {
-          if (this.getTextWidth(remaining) <= this.config.maxTextWidth) {
-            units.push({
-              text: remaining,
-              start: basePosition + currentPos,
-              end: basePosition + text.length
-            });
-          } else {
-            const forceSplitUnits = this.forceSplitText(remaining, basePosition + currentPos);
-            units.push(...forceSplitUnits);
-          }
+          // 如果短语仍然太长，按词边界分割
+          units.push(...this.forceSplitText(phrase, basePosition + start, lang));
         }
       }
-      return units;
+      start = end;
     }
-    // 如果没有标点符号，强制分割
-    return this.forceSplitText(text, basePosition);
+    return units;
   }
   /**
-   * 强制按长度分割文本
+   * 按宽度分割文本，尽量在词边界断开
    * @param {string} text - 要分割的文本
    * @param {number} basePosition - 原始文本中的基础位置
+   * @param {string} lang - 语言代码
    * @returns {Array} - 文本单元数组
    */
-  forceSplitText(text, basePosition = 0) {
+  forceSplitText(text, basePosition = 0, lang = this.config.defaultLang) {
+    const widths = this.getPrefixWidths(text);
+    const maxWidth = this.config.maxTextWidth - 60;
+    // 可断开的位置：每个非空白词的起点，空白留在上一个单元末尾
+    const boundaries = this.segmentText(text, 'word', lang)
+      .filter(({ segment }) => segment.trim())
+      .map(({ index }) => index);
     const units = [];
-    let currentText = "";
-    let startPos = 0;
-    for (let i = 0; i < text.length; i++) {
-      currentText += text[i];
-      // 如果当前文本超出最大宽度，分割
-      if (this.getTextWidth(currentText) > this.config.maxTextWidth) {
-        // 回退一个字符确保不超出宽度
-        if (currentText.length > 1) {
-          currentText = currentText.slice(0, -1);
-          i--;
+    let start = 0;
+    while (start < text.length) {
+      // 二分查找宽度不超过限制的最远位置
+      let low = start + 1;
+      let high = text.length;
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (widths[mid] - widths[start] <= maxWidth) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      let end = low;
+      if (end < text.length) {
+        // 回退到最近的词边界，单个词超出宽度时才在词中断开
+        let left = 0;
+        let right = boundaries.length - 1;
+        let boundary = -1;
+        while (left <= right) {
+          const mid = (left + right) >> 1;
+          if (boundaries[mid] <= end) {
+            boundary = boundaries[mid];
+            left = mid + 1;
+          } else {
+            right = mid - 1;
+          }
+        }
+        if (boundary > start) {
+          end = boundary;
+        } else if (/[\uDC00-\uDFFF]/.test(text[end]) && end - 1 > start) {
+          // 不拆开代理对
+          end--;
         }
-        units.push({
-          text: currentText,
-          start: basePosition + startPos,
-          end: basePosition + startPos + currentText.length
-        });
-        currentText = "";
-        startPos = i + 1;
       }
-    }
-    // 添加最后一部分
-    if (currentText) {
       units.push({
-        text: currentText,
-        start: basePosition + startPos,
-        end: basePosition + text.length
+        text: text.slice(start, end),
+        start: basePosition + start,
+        end: basePosition + end
       });
+      start = end;
     }
     return units;
   }
@@ -356,90 +1312,85 @@ class SubtitleReader {
    * 处理文本准备朗读
    * @param {string} text - 原始文本
    * @param {string} mdHtml - Markdown HTML
+   * @param {HTMLElement} root - 已渲染的内容元素，提供时直接遍历，单元可关联到页面中的元素
    * @returns {Object} - 处理后的文本数据
    */
-  processText(text, mdHtml) {
+  processText(text, mdHtml, root = null) {
     // 从Markdown HTML中提取行
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = mdHtml;
-    // 收集和过滤所有文本节点
-    const textLines = [];
-    const walker = document.createTreeWalker(
-      tempDiv,
-      NodeFilter.SHOW_TEXT,
-      null,
-      false
-    );
-    let node;
-    while (node = walker.nextNode()) {
-      if (node.textContent.trim()) {
-        // 提取行
-        const lines = node.textContent.trim()
-          .split('\n')
-          .map(line => line.trim())
-          .filter(line => line);
-        textLines.push(...lines);
-      }
+    if (!root) {
+      root = document.createElement('div');
+      root.innerHTML = mdHtml;
     }
-    // 处理朗读用文本 - 保留URL位置但用空格代替
-    const readingLines = textLines.map(line => {
-      return this.filterTextKeepLength(line);
-    });
-    // 处理显示用文本 - 完全移除URL
-    const displayLines = textLines.map(line => {
-      return this.filterTextComplete(line);
-    });
+    // 按元素类型提取朗读行（标题、列表、代码块、表格等）
+    const lines = this.extractLines(root);
+    const textLines = lines.map(line => line.text);
+    // 按过滤规则分别生成朗读用文本和显示用文本，并记录与原文的位置对应
+    const filteredLines = textLines.map(line => this.filterPipeline.apply(line));
+    const readingLines = filteredLines.map(result => result.speech.text);
+    const displayLines = filteredLines.map(result => result.display.text);
     // 合并处理后的朗读文本
     const cleanedText = readingLines.join(' ');
     // 创建显示单元和字符映射
     const displayUnits = [];
     const charToUnitMap = new Array(cleanedText.length).fill(-1);
     let currentPos = 0;
-    // 改进的处理长行文本的方法
+    let previousLang = this.config.defaultLang;
+    // 按朗读文本与显示文本的字符对应关系计算每个单元的位置
     for (let i = 0; i < displayLines.length; i++) {
       const displayLine = displayLines[i];
       const readingLine = readingLines[i];
-      if (!displayLine) continue;
-      // 智能分割显示行
-      const units = this.smartSplitText(displayLine);
+      const line = lines[i];
+      // 行前的停顿并入上一个单元
+      this.addPause(displayUnits[displayUnits.length - 1], line.pauseBefore);
+      if (!displayLine) {
+        this.addPause(displayUnits[displayUnits.length - 1], line.pauseAfter);
+        continue;
+      }
+      // 智能分割显示行，字幕文件的条目保持原有分割
+      const isCue = line.element && line.element.hasAttribute && line.element.hasAttribute('data-cue');
+      // 流式模式下总是按句子分割，后续文本到达时已有单元保持不变
+      const units = isCue
+        ? [{ text: displayLine, start: 0, end: displayLine.length }]
+        : this.smartSplitText(displayLine, line.lang ||
+          (this.config.autoDetectLanguage && this.detectLanguage(displayLine)) ||
+          this.config.defaultLang, this.streamMode);
       const lineStartPos = cleanedText.indexOf(readingLine, currentPos);
       if (lineStartPos === -1) continue;
-      // 对于长行文本，需要正确计算每个分割单元的位置
-      if (units.length > 1) {
-        for (let j = 0; j < units.length; j++) {
-          const unit = units[j];
-          const unitIndex = displayUnits.length;
-          // 计算此单元在原始行中的比例范围
-          const startRatio = unit.start / displayLine.length;
-          const endRatio = unit.end / displayLine.length;
-          // 根据比例计算在朗读文本中的实际范围
-          const unitStartPos = Math.floor(lineStartPos + (readingLine.length * startRatio));
-          const unitEndPos = Math.floor(lineStartPos + (readingLine.length * endRatio));
-          // 添加显示单元
-          displayUnits.push({
-            text: unit.text,
-            start: unitStartPos,
-            end: unitEndPos,
-            originalLine: i // 记录原始行，便于调试
-          });
-          // 映射这个范围内的每个字符到此显示单元
-          for (let k = unitStartPos; k < unitEndPos; k++) {
-            if (k < charToUnitMap.length) {
-              charToUnitMap[k] = unitIndex;
-            }
-          }
-        }
-      } else {
-        // 单个单元的情况，直接映射整行
+      // 朗读行中每个字符对应的显示行位置
+      const offsetMap = this.mapReadingToDisplay(filteredLines[i].speech, filteredLines[i].display);
+      // 每个单元在朗读行中的起点：第一个映射到该单元显示范围内的字符
+      const readingStarts = units.map((unit, j) => {
+        if (j === 0) return 0;
+        const index = offsetMap.findIndex(offset => offset >= unit.start);
+        return index === -1 ? readingLine.length : index;
+      });
+      for (let j = 0; j < units.length; j++) {
+        const unit = units[j];
         const unitIndex = displayUnits.length;
+        const readingStart = readingStarts[j];
+        const readingEnd = j + 1 < units.length ? readingStarts[j + 1] : readingLine.length;
+        // 无法判断语言的单元（如纯数字）沿用上一个单元的语言
+        const lang = line.lang ||
+          (this.config.autoDetectLanguage && this.detectLanguage(unit.text)) ||
+          previousLang;
+        previousLang = lang;
+        // 添加显示单元
         displayUnits.push({
-          text: units[0].text,
-          start: lineStartPos,
-          end: lineStartPos + readingLine.length,
-          originalLine: i
+          text: unit.text,
+          start: lineStartPos + readingStart,
+          end: lineStartPos + readingEnd,
+          // 单元内朗读位置到显示位置的映射，用于逐词高亮
+          offsetMap: offsetMap.slice(readingStart, readingEnd + 1)
+            .map(offset => Math.max(0, Math.min(offset - unit.start, unit.text.length))),
+          lang,
+          // 只朗读不显示的前缀，如列表项的“第一项”
+          speechPrefix: j === 0 ? line.speechPrefix || '' : '',
+          pauseAfter: j === units.length - 1 ? line.pauseAfter || 0 : 0,
+          element: line.element,
+          originalLine: i // 记录原始行，便于调试
         });
-        // 映射字符
-        for (let k = lineStartPos; k < lineStartPos + readingLine.length; k++) {
+        // 映射这个范围内的每个字符到此显示单元
+        for (let k = lineStartPos + readingStart; k < lineStartPos + readingEnd; k++) {
           if (k < charToUnitMap.length) {
             charToUnitMap[k] = unitIndex;
           }
@@ -454,37 +1405,436 @@ class SubtitleReader {
       cleanedText
     };
   }
+  /**
+   * 为单元追加停顿时间，取较长的一个
+   * @param {Object} unit - 显示单元
+   * @param {number} pause - 停顿毫秒数
+   */
+  addPause(unit, pause) {
+    if (unit && pause) {
+      unit.pauseAfter = Math.max(unit.pauseAfter || 0, pause);
+    }
+  }
+  /**
+   * 按元素类型提取朗读行
+   * 每种元素的朗读规则可以通过renderers选项按标签名覆盖
+   * @param {HTMLElement} root - 根元素
+   * @returns {Array} - 朗读行数组 {text, lang, speechPrefix, pauseBefore, pauseAfter, element}
+   */
+  extractLines(root) {
+    const lines = [];
+    this.collectLines(root, lines);
+    return lines;
+  }
+  /**
+   * 提取元素所有子节点的朗读行，供自定义渲染器调用
+   * @param {HTMLElement} element - 父元素
+   * @returns {Array} - 朗读行数组
+   */
+  renderChildren(element) {
+    const lines = [];
+    this.collectLines(element, lines);
+    return lines;
+  }
+  /**
+   * 遍历子节点收集朗读行，相邻的行内节点合并为一段
+   * @param {HTMLElement} element - 父元素
+   * @param {Array} lines - 收集结果
+   */
+  collectLines(element, lines) {
+    let inlineNodes = [];
+    const flushInline = () => {
+      if (!inlineNodes.length) return;
+      const text = inlineNodes.map(node => this.getInlineText(node)).join('');
+      this.pushLines(lines, text, element);
+      inlineNodes = [];
+    };
+    for (const child of element.childNodes) {
+      if (child.nodeType === Node.ELEMENT_NODE && SubtitleReader.BLOCK_TAGS.has(child.tagName.toLowerCase())) {
+        flushInline();
+        this.renderBlock(child, lines);
+      } else {
+        inlineNodes.push(child);
+      }
+    }
+    flushInline();
+  }
+  /**
+   * 查找元素的渲染器，用户提供的渲染器返回undefined时使用内置规则
+   * @param {HTMLElement} element - 元素
+   * @returns {*} - 渲染结果，undefined表示按默认方式遍历子节点
+   */
+  applyRenderer(element) {
+    const tag = element.tagName.toLowerCase();
+    const renderer = this.config.renderers[tag];
+    let result = renderer ? renderer(element, this) : undefined;
+    if (result === undefined && SubtitleReader.DEFAULT_RENDERERS[tag]) {
+      result = SubtitleReader.DEFAULT_RENDERERS[tag](element, this);
+    }
+    return result;
+  }
+  /**
+   * 渲染块级元素
+   * @param {HTMLElement} element - 块级元素
+   * @param {Array} lines - 收集结果
+   */
+  renderBlock(element, lines) {
+    const result = this.applyRenderer(element);
+    if (result === undefined) {
+      this.collectLines(element, lines);
+    } else {
+      this.pushLines(lines, result, element);
+    }
+  }
+  /**
+   * 获取行内节点的朗读文本
+   * @param {Node} node - 文本节点或行内元素
+   * @returns {string} - 朗读文本
+   */
+  getInlineText(node) {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent;
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+    if (node.tagName.toLowerCase() === 'br') {
+      return '\n';
+    }
+    const result = this.applyRenderer(node);
+    if (result !== undefined) {
+      return result || '';
+    }
+    return this.getChildrenText(node);
+  }
+  /**
+   * 获取元素所有子节点的朗读文本，供自定义渲染器调用
+   * @param {HTMLElement} element - 父元素
+   * @returns {string} - 朗读文本
+   */
+  getChildrenText(element) {
+    return [...element.childNodes].map(child => this.getInlineText(child)).join('');
+  }
+  /**
+   * 将渲染结果规范化为朗读行并加入结果
+   * 渲染结果可以是字符串、行对象、它们组成的数组，或null表示跳过
+   * @param {Array} lines - 收集结果
+   * @param {*} result - 渲染结果
+   * @param {HTMLElement} element - 产生这些行的元素
+   */
+  pushLines(lines, result, element) {
+    if (result === null || result === undefined) return;
+    if (Array.isArray(result)) {
+      result.forEach(item => this.pushLines(lines, item, element));
+      return;
+    }
+    const line = typeof result === 'string' ? { text: result } : { ...result };
+    line.element = line.element || element;
+    if (!line.lang) {
+      const langElement = line.element.closest && line.element.closest('[lang]');
+      line.lang = langElement ? langElement.getAttribute('lang') : null;
+    }
+    // 多行文本拆成多行，前缀和停顿分别属于第一行和最后一行
+    const parts = (line.text || '').split('\n').map(part => part.trim()).filter(part => part);
+    if (!parts.length) {
+      if (line.pauseBefore || line.pauseAfter) {
+        lines.push({ ...line, text: '' });
+      }
+      return;
+    }
+    parts.forEach((text, i) => {
+      lines.push({
+        ...line,
+        text,
+        speechPrefix: i === 0 ? line.speechPrefix : '',
+        pauseBefore: i === 0 ? line.pauseBefore : 0,
+        pauseAfter: i === parts.length - 1 ? line.pauseAfter : 0
+      });
+    });
+  }
+  /**
+   * 将整数转换为中文数字
+   * @param {number} number - 非负整数
+   * @returns {string} - 中文数字，如 12 → 十二
+   */
+  numberToChinese(number) {
+    const digits = '零一二三四五六七八九';
+    const units = ['', '十', '百', '千'];
+    const sections = ['', '万', '亿', '万亿'];
+    number = Math.floor(Math.abs(number));
+    if (number === 0) return digits[0];
+    // 每四位一节分别转换
+    const convertSection = (section) => {
+      let result = '';
+      let zero = false;
+      for (let i = 3; i >= 0; i--) {
+        const digit = Math.floor(section / Math.pow(10, i)) % 10;
+        if (digit === 0) {
+          zero = result !== '';
+        } else {
+          result += (zero ? digits[0] : '') + digits[digit] + units[i];
+          zero = false;
+        }
+      }
+      return result;
+    };
+    let result = '';
+    let sectionIndex = 0;
+    let needZero = false;
+    while (number > 0 && sectionIndex < sections.length) {
+      const section = number % 10000;
+      if (section) {
+        result = convertSection(section) + sections[sectionIndex] + (needZero ? digits[0] : '') + result;
+      }
+      needZero = section > 0 && section < 1000 ? true : (section === 0 && result !== '');
+      number = Math.floor(number / 10000);
+      sectionIndex++;
+    }
+    // 十到十九读作“十X”而不是“一十X”
+    return result.replace(/^一十/, '十');
+  }
+  /**
+   * 建立朗读文本到显示文本的字符位置映射
+   * 两者可能被过滤规则处理成不同长度，通过各自到原文的位置映射对齐
+   * @param {Object} reading - 朗读用文本 {text, map}
+   * @param {Object} display - 显示用文本 {text, map}
+   * @returns {Array} - 长度为朗读文本长度+1的数组，每项为对应的显示文本位置
+   */
+  mapReadingToDisplay(reading, display) {
+    const map = new Array(reading.text.length + 1);
+    let j = 0;
+    for (let i = 0; i < reading.text.length; i++) {
+      // 第一个原文位置不早于当前朗读字符的显示字符
+      while (j < display.text.length && display.map[j] < reading.map[i]) {
+        j++;
+      }
+      map[i] = j;
+    }
+    map[reading.text.length] = display.text.length;
+    return map;
+  }
+  /**
+   * 创建读音规范化流水线：先应用读音词典，再应用内置的中文数字规则
+   * @returns {TextFilterPipeline} - 只使用speech输出的过滤流水线
+   */
+  createSpeechNormalizer() {
+    const escapeRegExp = text => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const lexicon = this.config.lexicon || {};
+    const rules = Array.isArray(lexicon)
+      ? lexicon.map(entry => ({
+        ...entry,
+        pattern: typeof entry.pattern === 'string' ? new RegExp(escapeRegExp(entry.pattern), 'g') : entry.pattern,
+        speech: entry.speech !== undefined ? entry.speech : entry.replacement
+      }))
+      : Object.keys(lexicon).map(term => ({
+        name: `lexicon:${term}`,
+        // 字母数字词条只匹配完整的词，避免替换单词中的片段
+        pattern: new RegExp(/^[\w.-]+$/.test(term)
+          ? `(?<![A-Za-z0-9])${escapeRegExp(term)}(?![A-Za-z0-9])`
+          : escapeRegExp(term), 'g'),
+        speech: lexicon[term]
+      }));
+    if (this.config.normalizeNumbers) {
+      rules.push(...this.createChineseNumberRules());
+    }
+    return new TextFilterPipeline(rules, false);
+  }
+  /**
+   * 替换读音词典
+   * @param {Object|Array} lexicon - 读音词典
+   */
+  setLexicon(lexicon) {
+    this.config.lexicon = lexicon;
+    this.speechNormalizer = this.createSpeechNormalizer();
+  }
+  /**
+   * 将文本规范化为适合朗读的形式
+   * @param {string} text - 朗读文本
+   * @param {string} lang - 语言代码
+   * @returns {Object} - {text, map}，map为规范化后每个字符在原文本中的位置
+   */
+  normalizeForSpeech(text, lang) {
+    return this.speechNormalizer.run(text, 'speech', lang);
+  }
+  /**
+   * 创建内置的中文数字、日期、单位读法规则
+   * @returns {Array} - 过滤规则数组
+   */
+  createChineseNumberRules() {
+    const digits = value => [...value].map(digit => '零一二三四五六七八九'[digit]).join('');
+    const integer = value => {
+      const plain = value.replace(/,/g, '');
+      // 超出安全整数范围时逐位朗读
+      return plain.length > 15 ? digits(plain) : this.numberToChinese(Number(plain));
+    };
+    const decimal = value => {
+      const [intPart, fracPart] = value.split('.');
+      return integer(intPart) + (fracPart ? `点${digits(fracPart)}` : '');
+    };
+    const units = {
+      TB: '太字节', GB: '吉字节', MB: '兆字节', KB: '千字节',
+      GHz: '吉赫兹', MHz: '兆赫兹', kHz: '千赫兹', Hz: '赫兹',
+      km: '公里', cm: '厘米', mm: '毫米', kg: '千克', ms: '毫秒'
+    };
+    const number = '\\d{1,3}(?:,\\d{3})+(?:\\.\\d+)?|\\d+(?:\\.\\d+)?';
+    // 与字母或小数点相连的数字（如 k8s、v1.2.3）不转换
+    const before = '(?<![A-Za-z\\d.])';
+    const after = '(?![A-Za-z\\d]|\\.\\d)';
+    return [
+      {
+        name: 'zh-date',
+        lang: 'zh',
+        pattern: /(?<!\d)(\d{4})[-/年](\d{1,2})[-/月](\d{1,2})日?(?!\d)/g,
+        speech: (text, match) => `${digits(match[1])}年${integer(match[2])}月${integer(match[3])}日`
+      },
+      {
+        name: 'zh-time',
+        lang: 'zh',
+        pattern: /(?<![\d:])(\d{1,2}):(\d{2})(?::(\d{2}))?(?![\d:])/g,
+        speech: (text, match) => {
+          const minutes = Number(match[2]);
+          const seconds = match[3] ? `${integer(match[3])}秒` : '';
+          const minuteText = minutes ? `${minutes < 10 ? '零' : ''}${integer(match[2])}分` : (seconds ? '零分' : '');
+          return `${integer(match[1])}点${minuteText}${seconds}`;
+        }
+      },
+      {
+        name: 'zh-percent',
+        lang: 'zh',
+        pattern: new RegExp(`${before}(${number})\\s?%`, 'g'),
+        speech: (text, match) => `百分之${decimal(match[1])}`
+      },
+      {
+        name: 'zh-unit',
+        lang: 'zh',
+        pattern: new RegExp(`${before}(${number})\\s?(${Object.keys(units).join('|')})(?![A-Za-z])`, 'g'),
+        speech: (text, match) => decimal(match[1]) + units[match[2]]
+      },
+      {
+        // 手机号、电话号码逐位朗读
+        name: 'zh-phone',
+        lang: 'zh',
+        pattern: /(?<![\d.])(?:1\d{10}|0\d{2,3}-\d{7,8})(?![\d.])/g,
+        speech: text => digits(text.replace(/-/g, ''))
+      },
+      {
+        name: 'zh-number',
+        lang: 'zh',
+        pattern: new RegExp(`${before}(?:${number})${after}`, 'g'),
+        speech: text => decimal(text)
+      }
+    ];
+  }
+  /**
+   * 转义HTML特殊字符
+   * @param {string} text - 原始文本
+   * @returns {string} - 可以安全插入innerHTML的文本
+   */
+  escapeHTML(text) {
+    return text
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+  /**
+   * 根据文字系统检测文本语言
+   * @param {string} text - 要检测的文本
+   * @returns {string|null} - 语言代码，无法判断时返回null
+   */
+  detectLanguage(text) {
+    const count = regex => (text.match(regex) || []).length;
+    const kana = count(/[\u3040-\u30ff]/g);
+    const han = count(/[\u3400-\u9fff\uf900-\ufaff]/g);
+    // 字母文字按约三个字母一个音节折算，与汉字的权重大致相当
+    const scores = {
+      ja: kana ? kana + han : 0,
+      zh: kana ? 0 : han,
+      ko: count(/[\u1100-\u11ff\uac00-\ud7a3]/g),
+      th: count(/[\u0e00-\u0e7f]/g),
+      ar: count(/[\u0600-\u06ff]/g) / 3,
+      ru: count(/[\u0400-\u04ff]/g) / 3,
+      en: count(/[a-zA-Z\u00c0-\u024f]/g) / 3
+    };
+    let best = null;
+    for (const lang of Object.keys(scores)) {
+      if (scores[lang] > 0 && (!best || scores[lang] > scores[best])) {
+        best = lang;
+      }
+    }
+    return best && (SubtitleReader.LANGUAGE_LOCALES[best] || best);
+  }
   /**
    * 查找目标语音
    * @returns {SpeechSynthesisVoice} - 选定的语音
    */
   findTargetVoice() {
-    const voices = speechSynthesis.getVoices();
+    const voices = this.engine.getVoices();
     return voices.find(v => v.name.includes(this.config.targetVoiceName)) ||
            voices.find(v => v.lang.includes('zh')) ||
            voices[0];
   }
+  /**
+   * 查找指定语言使用的语音
+   * 优先使用voiceMap中配置的语音，其次是该语言的任意语音
+   * @param {string} lang - 语言代码，如 'en-US'
+   * @returns {SpeechSynthesisVoice} - 选定的语音
+   */
+  findVoiceForLang(lang) {
+    if (this.voiceCache[lang]) return this.voiceCache[lang];
+    const voices = this.engine.getVoices();
+    const primary = lang.split('-')[0].toLowerCase();
+    const normalizeLang = voiceLang => (voiceLang || '').replace('_', '-').toLowerCase();
+    const preferredName = this.voiceOverrides[primary] || this.config.voiceMap[lang] || this.config.voiceMap[primary];
+    const isDefaultLang = primary === this.config.defaultLang.split('-')[0].toLowerCase();
+    const voice = (preferredName && voices.find(v => v.name.includes(preferredName))) ||
+      (isDefaultLang && voices.find(v => v.name.includes(this.config.targetVoiceName))) ||
+      voices.find(v => normalizeLang(v.lang) === lang.toLowerCase()) ||
+      voices.find(v => normalizeLang(v.lang).split('-')[0] === primary) ||
+      this.voice;
+    this.voiceCache[lang] = voice;
+    return voice;
+  }
   /**
    * 根据文本宽度调整窗口大小
    * @param {string} text - 要显示的文本
    */
-  adjustWindowSize(text) {
+  adjustWindowSize(text, translation = null) {
     if (!this.config.standalone) return;
-    const textWidth = this.getTextWidth(text);
-    const screenWidth = window.screen.availWidth;
-    const screenHeight = window.screen.availHeight;
+    // 译文字号为原文的0.75倍（见.subtitle-translation样式）
+    const translationWidth = translation ? this.getTextWidth(translation) * 0.75 : 0;
+    const textWidth = Math.max(this.getTextWidth(text), translationWidth);
+    const multiLine = textWidth > this.config.maxWindowWidth;
+    // 窗口高度按默认字号配置，主题字号变化时等比缩放
+    const scale = this.measureFontSize / parseFloat(SubtitleReader.DEFAULT_FONT_SIZE);
+    const singleLineHeight = Math.round(this.config.singleLineHeight * scale);
+    const multiLineHeight = Math.round(this.config.multiLineHeight * scale);
     let newWidth, newHeight;
-    if (textWidth > this.config.maxWindowWidth) {
-      this.elements.subtitle.className = 'multi-line';
+    this.elements.subtitle.classList.toggle('multi-line', multiLine);
+    this.elements.subtitle.classList.toggle('single-line', !multiLine);
+    if (multiLine) {
       newWidth = this.config.maxWindowWidth;
-      newHeight = this.config.multiLineHeight;
+      // multiLineHeight对应两行，其余行数按行高增减
+      newHeight = multiLineHeight + (this.getMaxLines() - 2) * (multiLineHeight - singleLineHeight);
     } else {
-      this.elements.subtitle.className = 'single-line';
       newWidth = Math.max(this.config.minWindowWidth, Math.min(textWidth, this.config.maxWindowWidth));
-      newHeight = this.config.singleLineHeight;
+      newHeight = singleLineHeight;
     }
-    window.resizeTo(newWidth, newHeight);
-    window.moveTo((screenWidth - newWidth) / 2, screenHeight - newHeight);
+    // 双语字幕为译文增加一行高度
+    if (translation !== null) {
+      newHeight += Math.round(this.config.translationLineHeight * scale);
+    }
+    // 同一段落内只变大不变小，换段落时再按内容收缩
+    const unit = this.isReading ? this.displayUnits[this.currentUnitIndex] : null;
+    const group = unit ? unit.originalLine : null;
+    if (this.config.smoothResize && group !== null && group === this.windowState.group) {
+      newWidth = Math.max(newWidth, this.windowState.width);
+      newHeight = Math.max(newHeight, this.windowState.height);
+    }
+    this.windowState.group = group;
+    this.windowState.width = newWidth;
+    this.windowState.height = newHeight;
+    this.setWindowGeometry(newWidth, newHeight);
   }
   
   /**
@@ -520,74 +1870,2513 @@ class SubtitleReader {
   }
   
   /**
-   * 开始朗读文本
+   * 处理当前内容，生成显示单元和字符映射
+   * 内容未变化时沿用上次的结果
    */
-  startReading() {
+  prepareUnits() {
+    if (this.unitsVersion === this.contentVersion) return;
+    this.unitsVersion = this.contentVersion;
     const rawText = this.elements.content.textContent;
     const mdHtml = this.elements.content.innerHTML;
-    const { displayUnits, charToUnitMap, cleanedText } = this.processText(rawText, mdHtml);
+    const { displayUnits, charToUnitMap, cleanedText } = this.processText(rawText, mdHtml, this.elements.content);
+    this.displayUnits = displayUnits;
+    this.charToUnitMap = charToUnitMap;
+    this.cleanedText = cleanedText;
+  }
+  
+  /**
+   * 开始朗读文本
+   * @param {number} startIndex - 开始朗读的显示单元索引
+   */
+  startReading(startIndex = 0) {
+    this.startPending = false;
+    // 其他阅读器正在朗读时按speechPolicy抢占或排队
+    if (!this.coordinator.acquire(this, () => this.startReading(startIndex), this.config.speechPolicy)) {
+      this.showAnimation('loading');
+      this.emit('queued', { index: startIndex, position: this.coordinator.getQueuePosition(this) });
+      return;
+    }
+    this.prepareUnits();
+    this.currentUnitIndex = -1;
     
     this.showAnimation('loading');
     this.adjustWindowSize("加载中...");
-    speechSynthesis.cancel();
     
-    // 使用已经过滤URL的文本创建语音对象
-    const utterance = new SpeechSynthesisUtterance(this.filterTextComplete(cleanedText));
-    utterance.voice = this.findTargetVoice();
-    utterance.rate = this.config.speechRate;
-    utterance.lang = 'zh-CN';
+    this.voice = this.findTargetVoice();
+    this.voiceCache = {};
+    this.isReading = true;
+    this.isPaused = false;
+    this.pendingSeek = false;
+    // 重置时间轴
+    this.timeline = [];
+    this.readingStartedAt = this.now();
+    this.pausedTime = 0;
+    this.updateMediaSession('playing');
+    // 触发开始事件
+    this.emit('start', { index: startIndex, total: this.displayUnits.length });
+    this.speakUnit(Math.max(0, Math.min(startIndex, this.displayUnits.length)));
+  }
+  
+  /**
+   * 从指定的显示单元开始朗读，后续内容按段落块自动排队
+   * @param {number} index - 显示单元索引
+   * @param {number} offset - 从单元朗读文本中的该位置开始，用于继续朗读被拆分的过长单元
+   */
+  speakUnit(index, offset = 0) {
+    // 每次发起新的朗读都更新会话号，被取消的语音回调会因会话号不符而被忽略
+    const session = ++this.speechSession;
+    clearTimeout(this.pauseTimer);
+    this.engine.cancel();
+    if (this.engine.paused) {
+      this.engine.resume();
+    }
+    
+    if (index >= this.displayUnits.length) {
+      // 流式文本尚未结束时等待新的句子到达
+      if (this.streamOpen) {
+        this.streamWaitIndex = index;
+        this.showAnimation('loading');
+        return;
+      }
+      this.finishReading();
+      return;
+    }
     
-    let currentUnitIndex = -1;
+    this.streamWaitIndex = null;
+    this.showUnit(index);
+    this.lastQueuedChunk = this.queueChunk(index, session, offset);
+    // 剩余单元都没有可朗读的内容，按读完处理（流式文本等待后续内容）
+    if (!this.lastQueuedChunk) {
+      this.speakUnit(this.displayUnits.length);
+      return;
+    }
+    this.prefetchChunk(session);
+  }
+  
+  /**
+   * 从指定单元开始组合一个朗读块
+   * 浏览器会截断过长的语音，所以按显示单元组合成不超过chunkMaxChars和chunkMaxDuration的块，
+   * 多个单元组合时只在句末结束；语言变化或单元后需要停顿时提前结束；
+   * 单个单元超出限制时在分句标点或词边界拆开，下一块从拆开处继续；
+   * 没有可朗读文字的单元（如只有符号）跳过，从之后的单元开始组合
+   * @param {number} startIndex - 起始单元索引
+   * @param {number} startOffset - 起始单元朗读文本中的开始位置
+   * @returns {Object|null} - 朗读块 {startIndex, endIndex, endOffset, text, offsets, unitAt, lang, pauseAfter}，
+   *   下一块从endIndex单元的endOffset处开始；
+   *   offsets为每个朗读字符在全文朗读文本中的位置(前缀和分隔符为null)，unitAt为每个字符所属的单元
+   */
+  buildChunk(startIndex, startOffset = 0) {
+    const units = this.displayUnits;
+    const rateRulesActive = this.config.rateRules.length > 0;
+    const lang = (units[startIndex] && units[startIndex].lang) || this.config.defaultLang;
+    // 语速、音调、音量不同的单元分在不同的块中
+    const prosody = this.getUnitProsody(units[startIndex]);
+    const chunk = { startIndex, endIndex: startIndex, endOffset: 0, text: '', offsets: [], unitAt: [], lang, prosody, pauseAfter: 0 };
+    let duration = 0;
+    // 最后一个句末的位置，超出长度时退回到这里
+    let sentenceEnd = null;
+    for (let i = startIndex; i < units.length; i++) {
+      const unit = units[i];
+      if (i > startIndex && (unit.lang || this.config.defaultLang) !== lang) break;
+      if (i > startIndex && rateRulesActive) {
+        const next = this.getUnitProsody(unit);
+        if (next.rate !== prosody.rate || next.pitch !== prosody.pitch || next.volume !== prosody.volume) break;
+      }
+      const unitText = this.cleanedText.slice(unit.start, unit.end);
+      // 读音规范化（数字、日期、缩写等），字幕仍显示原文
+      const normalized = this.normalizeForSpeech(unitText, lang);
+      // 被拆分的单元从上一块结束处继续，前缀已经读过
+      const offset = i === startIndex ? startOffset : 0;
+      const speech = normalized.text.slice(offset);
+      const prefix = unit.speechPrefix && !offset ? `${unit.speechPrefix}，` : '';
+      const partLength = prefix.length + speech.length;
+      const partDuration = this.estimateDuration(prefix + speech, prosody.rate);
+      if (chunk.text.trim() && (chunk.text.length + partLength + 1 > this.config.chunkMaxChars ||
+        duration + partDuration > this.config.chunkMaxDuration)) {
+        if (sentenceEnd && sentenceEnd.endIndex < chunk.endIndex) {
+          chunk.endIndex = sentenceEnd.endIndex;
+          chunk.text = chunk.text.slice(0, sentenceEnd.length);
+          chunk.offsets.length = sentenceEnd.length;
+          chunk.unitAt.length = sentenceEnd.length;
+        }
+        break;
+      }
+      // 块中的第一个单元本身超出限制时只取到拆分位置
+      const take = chunk.text.trim() ? speech.length : this.findChunkSplit(prefix, speech, prosody.rate, lang);
+      const split = take < speech.length;
+      duration += partDuration;
+      chunk.endIndex = split ? i : i + 1;
+      chunk.endOffset = split ? offset + take : 0;
+      if (partLength && speech.trim()) {
+        // 同一行内相邻的单元直接相连，不同行之间或原文在此处有空格时用空格分隔
+        const previous = units[i - 1];
+        const joined = previous && previous.end === unit.start && !prefix &&
+          !/\s/.test(this.cleanedText.slice(unit.start - 1, unit.start + 1));
+        const separator = chunk.text && !joined ? ' ' : '';
+        const part = separator + prefix;
+        for (let k = 0; k < part.length; k++) {
+          chunk.offsets.push(null);
+          chunk.unitAt.push(i);
+        }
+        for (let k = offset; k < offset + take; k++) {
+          chunk.offsets.push(unit.start + normalized.map[k]);
+          chunk.unitAt.push(i);
+        }
+        chunk.text += part + speech.slice(0, take);
+      }
+      if (split) break;
+      if (unit.pauseAfter) {
+        chunk.pauseAfter = unit.pauseAfter;
+        break;
+      }
+      if (/[。！？!?.…][」』”’"')）]*\s*$/.test(unitText)) {
+        sentenceEnd = { endIndex: chunk.endIndex, length: chunk.text.length };
+      }
+    }
+    if (chunk.text.trim()) return chunk;
+    return chunk.endIndex < units.length ? this.buildChunk(chunk.endIndex) : null;
+  }
+  
+  /**
+   * 计算过长单元在一块中能朗读的长度
+   * 不超过chunkMaxChars和chunkMaxDuration，优先在分句标点后拆开，其次在词边界
+   * @param {string} prefix - 单元的朗读前缀
+   * @param {string} text - 单元剩余的朗读文本
+   * @param {number} rate - 语速
+   * @param {string} lang - 语言代码
+   * @returns {number} - 本块朗读的字符数，无需拆分时为text的长度
+   */
+  findChunkSplit(prefix, text, rate, lang) {
+    let limit = Math.min(text.length, Math.max(1, this.config.chunkMaxChars - prefix.length));
+    while (limit > 1 && this.estimateDuration(prefix + text.slice(0, limit), rate) > this.config.chunkMaxDuration) {
+      limit--;
+    }
+    if (limit >= text.length) return text.length;
+    // 分句标点后拆开，太靠前时不采用，避免产生过短的块
+    const minimum = Math.floor(limit / 3);
+    let point = 0;
+    const pattern = /[，、；：。！？…,;:!?.][」』”’"')）]*\s*/g;
+    let match;
+    const head = text.slice(0, limit);
+    while ((match = pattern.exec(head))) {
+      point = match.index + match[0].length;
+    }
+    if (point > minimum) return point;
+    // 没有合适的标点时在词边界拆开
+    const word = this.segmentText(text.slice(0, limit + 1), 'word', lang)
+      .filter(segment => segment.index > minimum && segment.index <= limit)
+      .pop();
+    return word ? word.index : limit;
+  }
+  
+  /**
+   * 将朗读块加入语音队列
+   * @param {number} startIndex - 起始单元索引
+   * @param {number} session - 朗读会话号
+   * @param {number} startOffset - 起始单元朗读文本中的开始位置
+   * @returns {Object|null} - 加入队列的朗读块，没有可朗读的内容时返回null
+   */
+  queueChunk(startIndex, session, startOffset = 0) {
+    const chunk = this.buildChunk(startIndex, startOffset);
+    if (!chunk) return null;
+    const length = chunk.text.length;
     let lastCharIndex = -1;
     
-    // 改进的边界事件处理 - 添加更多检测点并防止重复处理
-    utterance.onboundary = (event) => {
+    // 边界事件的字符索引相对于当前块，通过offsets换算为全文朗读文本中的位置
+    const onboundary = (event) => {
+      if (session !== this.speechSession) return;
       if (event.name !== 'word' && event.name !== 'sentence') return;
       
-      const charIndex = event.charIndex || 0;
+      const localIndex = Math.max(0, Math.min(event.charIndex || 0, length - 1));
+      const unitIndex = chunk.unitAt[localIndex];
+      if (unitIndex !== this.currentUnitIndex) {
+        this.showUnit(unitIndex);
+      }
+      const charIndex = chunk.offsets[localIndex];
+      if (charIndex === null) return; // 正在朗读前缀
       if (charIndex === lastCharIndex) return; // 防止重复处理
       lastCharIndex = charIndex;
       
-      // 找到应该显示的单元
-      let unitIndex = this.findUnitForCharacter(charIndex, charToUnitMap, currentUnitIndex);
+      // 同一单元内下一个朗读字符对应的位置，单元结束处为单元终点
+      const unit = this.displayUnits[unitIndex];
+      const offsetAt = j => (j < length && chunk.unitAt[j] === unitIndex ? chunk.offsets[j] : unit.end);
+      let endIndex = localIndex + (event.charLength || 0);
+      // 规范化替换出的文字都对应被替换内容的起点，高亮时覆盖整段原文
+      if (offsetAt(localIndex + 1) === charIndex) {
+        endIndex = Math.max(endIndex, localIndex + 1);
+      }
+      while (endIndex < length && chunk.unitAt[endIndex] === unitIndex && offsetAt(endIndex) <= charIndex) {
+        endIndex++;
+      }
+      const charLength = endIndex > localIndex ? offsetAt(endIndex) - charIndex : 0;
       
-      if (unitIndex !== -1 && unitIndex !== currentUnitIndex) {
-        currentUnitIndex = unitIndex;
-        if (displayUnits[unitIndex]) {
-          this.elements.subtitle.innerHTML = displayUnits[unitIndex].text;
-          this.adjustWindowSize(displayUnits[unitIndex].text);
-        }
+      if (this.config.wordHighlight) {
+        this.highlightRange(unitIndex, charIndex, charLength);
       }
+      this.emit('progress', {
+        index: unitIndex,
+        charIndex,
+        percent: this.getPercent(charIndex),
+        elapsed: this.getElapsedTime()
+      });
     };
     
-    // 添加字符级事件以增加同步点
-    utterance.onmark = utterance.onboundary;
-    
-    utterance.onend = () => {
-      this.showAnimation('completion');
-      this.adjustWindowSize("完成");
-      if (this.config.standalone) {
-        setTimeout(() => window.close(), this.config.completionDelay);
+    this.engine.speak(chunk.text, {
+      voice: this.findVoiceForLang(chunk.lang),
+      rate: chunk.prosody.rate,
+      pitch: chunk.prosody.pitch,
+      volume: chunk.prosody.volume,
+      lang: chunk.lang,
+      onstart: () => {
+        if (session !== this.speechSession) return;
+        // 预取的块开始播放时切换到它的第一个单元
+        if (this.currentUnitIndex < chunk.startIndex || this.currentUnitIndex > chunk.unitAt[chunk.unitAt.length - 1]) {
+          this.showUnit(chunk.startIndex);
+        }
+      },
+      onboundary,
+      onerror: (event) => {
+        // 被本实例取消的语音会话号已经改变，这里只处理真正的朗读错误
+        if (session !== this.speechSession) return;
+        this.stopSpeech();
+        this.reportError('synthesis', `朗读出错：${event.error || '未知错误'}`, {
+          index: this.currentUnitIndex,
+          error: event.error
+        });
+      },
+      onend: () => {
+        if (session !== this.speechSession) return;
+        this.handleChunkEnd(chunk, session);
       }
-      // 触发完成事件
-      const event = new CustomEvent('reading-complete');
-      this.config.container.dispatchEvent(event);
-    };
-    
-    speechSynthesis.speak(utterance);
-    // 触发开始事件
-    const event = new CustomEvent('reading-start');
-    this.config.container.dispatchEvent(event);
+    });
+    return chunk;
   }
   
   /**
-   * 停止朗读
+   * 预先把下一块加入语音队列，避免块之间出现停顿
+   * @param {number} session - 朗读会话号
    */
-  stopReading() {
-    speechSynthesis.cancel();
+  prefetchChunk(session) {
+    const last = this.lastQueuedChunk;
+    // 需要停顿的块之后不预取，停顿结束后再开始下一块
+    if (!this.config.prefetch || !last || last.pauseAfter || last.endIndex >= this.displayUnits.length) return;
+    this.lastQueuedChunk = this.queueChunk(last.endIndex, session, last.endOffset) || last;
+  }
+  
+  /**
+   * 一个朗读块结束
+   * @param {Object} chunk - 结束的朗读块
+   * @param {number} session - 朗读会话号
+   */
+  handleChunkEnd(chunk, session) {
+    // 下一块已在队列中，会自动开始播放，只需继续预取
+    if (chunk !== this.lastQueuedChunk) {
+      this.prefetchChunk(session);
+      return;
+    }
+    if (!chunk.pauseAfter) {
+      this.speakUnit(chunk.endIndex, chunk.endOffset);
+      return;
+    }
+    // 标题等单元之后停顿片刻再继续
+    this.pauseTimer = setTimeout(() => {
+      if (session !== this.speechSession) return;
+      if (this.isPaused) {
+        // 停顿期间被暂停，继续朗读时从下一个单元开始
+        this.showUnit(chunk.endIndex);
+        this.pendingSeek = true;
+        return;
+      }
+      this.speakUnit(chunk.endIndex);
+    }, chunk.pauseAfter);
+  }
+  
+  /**
+   * 在字幕中显示指定的单元
+   * @param {number} index - 显示单元索引
+   */
+  showUnit(index) {
+    const unit = this.displayUnits[index];
+    if (!unit) return;
+    this.currentUnitIndex = index;
+    // 新单元正常播报，逐词高亮期间标记为忙碌，避免读屏软件重复播报
+    this.elements.subtitle.removeAttribute('aria-busy');
+    this.renderSubtitle(this.escapeHTML(unit.text));
+    if (this.config.translator) {
+      this.prefetchTranslations(index);
+    }
+    if (this.config.documentMode) {
+      this.highlightElement(unit.element);
+    }
+    if (this.isReading) {
+      this.recordCue(index);
+      this.saveProgress();
+      const elapsed = this.getElapsedTime();
+      const percent = this.getPercent(unit.start);
+      this.emit('unitchange', { index, text: unit.text, start: unit.start, end: unit.end, percent, elapsed });
+      this.emit('progress', { index, charIndex: unit.start, percent, elapsed });
+    }
+  }
+  
+  /**
+   * 文档模式下标记正在朗读的元素并滚动到可见位置
+   * @param {HTMLElement} element - 单元所属的元素
+   */
+  highlightElement(element) {
+    // 不属于任何段落的零散文本没有可高亮的元素
+    if (!element || element === this.elements.content) return;
+    if (element === this.highlightedElement) return;
+    this.clearElementHighlight();
+    this.highlightedElement = element;
+    element.classList.add('reading-current');
+    if (element.scrollIntoView) {
+      // 用户设置了减少动态效果时不使用平滑滚动
+      const reduceMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+      element.scrollIntoView({ block: 'center', behavior: reduceMotion ? 'auto' : 'smooth' });
+    }
+  }
+  
+  /**
+   * 移除段落高亮
+   */
+  clearElementHighlight() {
+    if (this.highlightedElement) {
+      this.highlightedElement.classList.remove('reading-current');
+      this.highlightedElement = null;
+    }
+  }
+  
+  /**
+   * 从包含指定节点的段落开始朗读
+   * @param {Node} node - 内容中的节点，如点击的目标
+   */
+  readFromElement(node) {
+    // 内容变化后重新处理，内容未变时直接使用已有单元
+    this.prepareUnits();
+    // 由内向外查找第一个关联了显示单元的元素
+    for (let element = node; element && element !== this.elements.content; element = element.parentElement) {
+      const index = this.displayUnits.findIndex(unit => unit.element === element);
+      if (index === -1) continue;
+      if (this.isReading) {
+        this.seekToUnit(index);
+      } else {
+        this.startReading(index);
+      }
+      return;
+    }
+  }
+  
+  /**
+   * 在当前字幕中高亮正在朗读的词，已读部分变暗
+   * @param {number} index - 显示单元索引
+   * @param {number} charIndex - 朗读文本中的字符位置
+   * @param {number} charLength - 正在朗读的字符数，浏览器未提供时按词边界推断
+   */
+  highlightRange(index, charIndex, charLength) {
+    const unit = this.displayUnits[index];
+    if (!unit || !unit.offsetMap) return;
+    this.elements.subtitle.setAttribute('aria-busy', 'true');
+    const lastOffset = unit.offsetMap.length - 1;
+    const toDisplay = offset => unit.offsetMap[Math.max(0, Math.min(offset - unit.start, lastOffset))];
+    const start = toDisplay(charIndex);
+    let end = charLength ? toDisplay(charIndex + charLength) : start;
+    if (end <= start) {
+      // 没有长度信息时，连续的字母数字视为一个词，否则高亮一个字符
+      const word = unit.text.slice(start).match(/^[\p{L}\p{N}]+/u);
+      const isCJK = /^[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7a3]/.test(unit.text.slice(start));
+      end = start + (word && !isCJK ? word[0].length : 1);
+    }
+    end = Math.min(end, unit.text.length);
+    this.renderSubtitle(
+      `<span class="word-spoken">${this.escapeHTML(unit.text.slice(0, start))}</span>` +
+      `<span class="word-current">${this.escapeHTML(unit.text.slice(start, end))}</span>` +
+      `<span class="word-upcoming">${this.escapeHTML(unit.text.slice(end))}</span>`,
+      false
+    );
+  }
+  
+  /**
+   * 渲染当前单元的字幕，开启翻译时在下方显示译文
+   * @param {string} sourceHTML - 原文字幕的HTML
+   * @param {boolean} resize - 是否调整窗口大小
+   */
+  renderSubtitle(sourceHTML, resize = true) {
+    const unit = this.displayUnits[this.currentUnitIndex];
+    this.subtitleSourceHTML = sourceHTML;
+    this.subtitleUnitIndex = this.currentUnitIndex;
+    const subtitle = this.elements.subtitle;
+    if (!this.config.translator || !unit) {
+      subtitle.classList.remove('dual-line');
+      subtitle.innerHTML = sourceHTML;
+      if (resize && unit) this.adjustWindowSize(unit.text);
+      return;
+    }
+    const translation = this.getCachedTranslation(unit.text);
+    subtitle.classList.add('dual-line');
+    // 译文未就绪时保留空行，避免字幕高度跳动
+    subtitle.innerHTML = `<div class="subtitle-source">${sourceHTML}</div>` +
+      `<div class="subtitle-translation">${translation ? this.escapeHTML(translation) : '&nbsp;'}</div>`;
+    if (resize) this.adjustWindowSize(unit.text, translation || '');
+  }
+  
+  /**
+   * 获取已缓存的译文
+   * @param {string} text - 原文
+   * @returns {string|null} - 译文，尚未翻译时返回null
+   */
+  getCachedTranslation(text) {
+    const cached = this.translationCache.get(`${this.config.translationLang}\u0000${text}`);
+    return typeof cached === 'string' ? cached : null;
+  }
+  
+  /**
+   * 预取当前及之后若干单元的译文
+   * @param {number} index - 当前单元索引
+   */
+  prefetchTranslations(index) {
+    const targetLang = this.config.translationLang;
+    const keyOf = unit => `${targetLang}\u0000${unit.text}`;
+    const pending = this.displayUnits
+      .slice(index, index + this.config.translationLookahead + 1)
+      .filter(unit => !this.translationCache.has(keyOf(unit)))
+      .filter((unit, i, list) => list.findIndex(other => other.text === unit.text) === i);
+    if (!pending.length) return;
+    const request = Promise.resolve()
+      .then(() => this.config.translator.translate(
+        pending.map(unit => ({ index: this.displayUnits.indexOf(unit), text: unit.text, lang: unit.lang })),
+        targetLang
+      ));
+    // 请求进行中时缓存Promise，避免重复请求
+    pending.forEach(unit => this.translationCache.set(keyOf(unit), request));
+    request.then((translations) => {
+      pending.forEach((unit, i) => {
+        const translation = translations && translations[i];
+        this.translationCache.set(keyOf(unit), translation ? String(translation) : '');
+      });
+      // 当前显示的单元拿到译文后刷新字幕；已读完、出错或字幕已换成其他内容时不覆盖
+      const current = this.displayUnits[this.currentUnitIndex];
+      const showing = this.isReading && this.subtitleUnitIndex === this.currentUnitIndex;
+      if (showing && current && pending.some(unit => unit.text === current.text) && this.config.translator) {
+        this.renderSubtitle(this.subtitleSourceHTML);
+      }
+    }).catch((error) => {
+      // 翻译失败不影响朗读，移除缓存以便之后重试
+      pending.forEach(unit => {
+        if (this.translationCache.get(keyOf(unit)) === request) {
+          this.translationCache.delete(keyOf(unit));
+        }
+      });
+      this.emit('error', { code: 'translation', message: '翻译失败', error });
+    });
+  }
+  
+  /**
+   * 全部单元朗读完成，队列中还有文档时继续朗读下一个文档
+   */
+  finishReading() {
+    this.closeCue();
+    this.clearElementHighlight();
+    // 读完后清除进度，下次从头开始
+    this.clearProgress();
+    this.isReading = false;
+    this.isPaused = false;
+    const finished = this.currentDocument;
+    this.endDocument();
+    // 触发完成事件，监听器中可以继续添加文档
+    this.emit('complete', {
+      total: this.displayUnits.length,
+      elapsed: this.getElapsedTime(),
+      document: finished ? finished.id : null,
+      remaining: this.queue.length
+    });
+    // 监听器中已开始新的朗读
+    if (this.isReading || this.startPending) return;
+    // 继续朗读下一个文档，不释放语音协调器，其他阅读器不会插入到文档之间
+    if (this.queue.length) {
+      this.playNextDocument();
+      return;
+    }
+    if (finished) {
+      this.emitQueueChange('finish');
+    }
     this.showAnimation('completion');
+    this.adjustWindowSize("完成");
+    if (this.config.standalone && !this.config.keepOpenOnComplete) {
+      setTimeout(() => {
+        // 延迟期间开始了新的朗读时不关闭
+        if (!this.isReading && !this.startPending) window.close();
+      }, this.config.completionDelay);
+    }
+    this.updateMediaSession('none');
+    this.coordinator.release(this);
   }
-}
+  
+  /**
+   * 停止语音和所有待执行的定时器，不改变字幕显示
+   */
+  stopSpeech() {
+    this.closeCue();
+    this.speechSession++;
+    clearTimeout(this.pauseTimer);
+    clearTimeout(this.startTimer);
+    clearTimeout(this.voicesTimer);
+    this.isReading = false;
+    this.isPaused = false;
+    this.pendingSeek = false;
+    this.startPending = false;
+    this.streamWaitIndex = null;
+    // 被抢占时其他阅读器可能正在使用同一个语音合成对象，此时不能取消对方的语音
+    const active = this.coordinator.active;
+    if (!active || active === this || !this.sharesEngineWith(active)) {
+      this.engine.cancel();
+    }
+    this.coordinator.release(this);
+  }
+  
+  /**
+   * 判断是否与另一个阅读器使用同一个语音引擎或同一个语音合成对象（如全局speechSynthesis）
+   * @param {SubtitleReader} reader - 另一个阅读器
+   * @returns {boolean} - 是否共用
+   */
+  sharesEngineWith(reader) {
+    const other = reader && reader.engine;
+    if (!other) return false;
+    return other === this.engine || (!!this.engine.synth && this.engine.synth === other.synth);
+  }
+  
+  /**
+   * 暂停朗读，保留当前位置
+   */
+  pause() {
+    if (!this.isReading || this.isPaused) return;
+    this.isPaused = true;
+    this.pauseStartedAt = this.now();
+    this.engine.pause();
+    this.updateMediaSession('paused');
+    this.emit('pause', { index: this.currentUnitIndex, elapsed: this.getElapsedTime() });
+  }
+  
+  /**
+   * 从暂停处继续朗读
+   */
+  resume() {
+    if (!this.isReading || !this.isPaused) return;
+    this.isPaused = false;
+    this.pausedTime += this.now() - this.pauseStartedAt;
+    // 暂停期间发生过跳转时，从新位置重新朗读
+    if (this.pendingSeek) {
+      this.pendingSeek = false;
+      this.speakUnit(this.currentUnitIndex);
+    } else {
+      this.engine.resume();
+    }
+    this.updateMediaSession('playing');
+    this.emit('resume', { index: this.currentUnitIndex, elapsed: this.getElapsedTime() });
+  }
+  
+  /**
+   * 跳转到指定的显示单元并从该单元开头朗读
+   * @param {number} index - 显示单元索引
+   */
+  seekToUnit(index) {
+    if (!this.displayUnits.length) return;
+    if (!this.isReading) {
+      this.startReading(index);
+      return;
+    }
+    const target = Math.max(0, Math.min(index, this.displayUnits.length - 1));
+    this.isReading = true;
+    // 暂停状态下只更新位置，等继续朗读时再开始
+    if (this.isPaused) {
+      this.speechSession++;
+      clearTimeout(this.pauseTimer);
+      this.engine.cancel();
+      this.showUnit(target);
+      this.pendingSeek = true;
+      return;
+    }
+    this.speakUnit(target);
+  }
+  
+  /**
+   * 跳转到朗读文本中的指定字符位置所在的单元
+   * @param {number} offset - 朗读文本中的字符偏移
+   */
+  seekToChar(offset) {
+    if (!this.displayUnits.length) return;
+    const charIndex = Math.max(0, Math.min(offset, this.charToUnitMap.length - 1));
+    this.seekToUnit(this.findUnitForCharacter(charIndex, this.charToUnitMap, -1));
+  }
+  
+  /**
+   * 跳到下一个单元，已是最后一个单元时结束朗读
+   */
+  next() {
+    if (this.currentUnitIndex + 1 < this.displayUnits.length) {
+      this.seekToUnit(this.currentUnitIndex + 1);
+      return;
+    }
+    // 不重复朗读最后一个单元；流式文本未结束时等待后续内容
+    if (this.isReading) {
+      this.speakUnit(this.displayUnits.length);
+    }
+  }
+  
+  /**
+   * 回到上一个单元
+   */
+  previous() {
+    this.seekToUnit(this.currentUnitIndex - 1);
+  }
+  
+  /**
+   * 停止朗读
+   */
+  stopReading() {
+    const wasReading = this.isReading;
+    this.stopSpeech();
+    this.showAnimation('completion');
+    this.updateMediaSession('none');
+    if (wasReading) {
+      this.emit('stop', { index: this.currentUnitIndex, elapsed: this.getElapsedTime() });
+    }
+  }
+  
+  /**
+   * 将文档加入朗读队列，没有正在朗读的内容时立即开始
+   * 队列中的文档读完后自动朗读下一个，全部读完才显示完成动画、关闭独立窗口
+   * @param {string|Object} doc - 文本，或 {text, format, title, voice, lang, rate, id}
+   * @param {Object} options - 文档选项，覆盖doc中的同名属性
+   *   format: 输入格式，默认使用format选项；title: 媒体控制中显示的标题；
+   *   voice: 朗读该文档使用的语音名称，lang为该语音对应的语言(默认为defaultLang)；rate: 该文档的语速
+   * @returns {string|number|null} - 文档id，格式无效时返回null
+   */
+  enqueue(doc, options = {}) {
+    const entry = {
+      format: this.config.format,
+      ...(typeof doc === 'string' ? { text: doc } : doc),
+      ...options
+    };
+    if (!SubtitleReader.INPUT_FORMATS[entry.format]) {
+      this.reportError('unknown-format', `不支持的输入格式：${entry.format}`);
+      return null;
+    }
+    entry.text = entry.text || '';
+    if (entry.id === undefined) {
+      entry.id = ++this.documentCounter;
+    }
+    this.queue.push(entry);
+    // 正在朗读、等待开始或流式文本未结束时排在后面
+    const busy = this.isReading || this.startPending || this.streamOpen ||
+      this.coordinator.getQueuePosition(this) > 0;
+    if (busy) {
+      this.emitQueueChange('enqueue');
+    } else {
+      this.playNextDocument();
+    }
+    return entry.id;
+  }
+  
+  /**
+   * 跳过正在朗读的文档，朗读队列中的下一个，队列为空时停止朗读
+   * @returns {boolean} - 是否开始了下一个文档
+   */
+  skipDocument() {
+    if (this.queue.length) {
+      this.stopSpeech();
+      this.playNextDocument();
+      return true;
+    }
+    const finished = this.currentDocument;
+    this.stopReading();
+    this.endDocument();
+    if (finished) {
+      this.emitQueueChange('skip');
+    }
+    return false;
+  }
+  
+  /**
+   * 清空等待朗读的文档，正在朗读的文档不受影响
+   */
+  clearQueue() {
+    if (!this.queue.length) return;
+    this.queue = [];
+    this.emitQueueChange('clear');
+  }
+  
+  /**
+   * 获取朗读队列
+   * @returns {Object} - {current: 正在朗读的文档, pending: 等待朗读的文档数组}，文档为 {id, title}
+   */
+  getQueue() {
+    const describe = doc => ({ id: doc.id, title: doc.title || '' });
+    return {
+      current: this.currentDocument ? describe(this.currentDocument) : null,
+      pending: this.queue.map(describe)
+    };
+  }
+  
+  /**
+   * 开始朗读队列中的下一个文档
+   * @returns {boolean} - 队列不为空时返回true
+   */
+  playNextDocument() {
+    this.endDocument();
+    const doc = this.queue.shift();
+    if (!doc) return false;
+    this.applyDocumentSettings(doc);
+    this.setText(doc.text, doc.format);
+    this.emitQueueChange('advance');
+    return true;
+  }
+  
+  /**
+   * 应用文档的标题、语音和语速，并记录原设置
+   * @param {Object} doc - 队列中的文档
+   */
+  applyDocumentSettings(doc) {
+    const config = {};
+    const set = (key, value) => {
+      config[key] = this.config[key];
+      this.config[key] = value;
+    };
+    // 队列中的文档是完整的文本，不按流式朗读
+    set('streaming', false);
+    if (doc.title) set('title', doc.title);
+    if (typeof doc.rate === 'number') set('speechRate', Math.max(0.1, Math.min(10, doc.rate)));
+    let voiceOverrides = null;
+    if (doc.voice) {
+      voiceOverrides = { ...this.voiceOverrides };
+      const lang = doc.lang || this.config.defaultLang;
+      this.voiceOverrides[lang.split('-')[0].toLowerCase()] = typeof doc.voice === 'string' ? doc.voice : doc.voice.name;
+      this.voiceCache = {};
+    }
+    this.currentDocument = doc;
+    this.documentSettings = { config, voiceOverrides };
+  }
+  
+  /**
+   * 结束当前队列文档，恢复应用文档设置前的语音和语速
+   * 文档朗读期间通过setRate()等修改的设置，若文档本身指定了该项，则只对该文档有效
+   */
+  endDocument() {
+    if (this.documentSettings) {
+      Object.assign(this.config, this.documentSettings.config);
+      if (this.documentSettings.voiceOverrides) {
+        this.voiceOverrides = this.documentSettings.voiceOverrides;
+        this.voiceCache = {};
+      }
+    }
+    this.currentDocument = null;
+    this.documentSettings = null;
+  }
+  
+  /**
+   * 触发队列变化事件
+   * @param {string} action - 'enqueue'、'advance'、'skip'、'clear' 或 'finish'
+   */
+  emitQueueChange(action) {
+    this.emit('queuechange', { action, ...this.getQueue() });
+  }
+  
+  /**
+   * 订阅事件
+   * 事件类型：start、unitchange、progress、pause、resume、stop、complete、error、voiceschanged、queued、
+   * ratechange、pitchchange、volumechange、voicechange、queuechange
+   * 同时会在容器上派发对应的 reading-<type> CustomEvent，事件数据在 detail 中
+   * @param {string} type - 事件类型
+   * @param {Function} handler - 处理函数，接收事件数据
+   * @returns {Function} - 取消订阅函数
+   */
+  on(type, handler) {
+    (this.listeners[type] = this.listeners[type] || []).push(handler);
+    return () => this.off(type, handler);
+  }
+  
+  /**
+   * 取消订阅事件
+   * @param {string} type - 事件类型
+   * @param {Function} handler - 处理函数
+   */
+  off(type, handler) {
+    if (!this.listeners[type]) return;
+    this.listeners[type] = this.listeners[type].filter(listener => listener !== handler);
+  }
+  
+  /**
+   * 触发事件
+   * @param {string} type - 事件类型
+   * @param {Object} detail - 事件数据
+   * @returns {number} - 处理该事件的监听器数量
+   */
+  emit(type, detail = {}) {
+    const payload = { type, ...detail };
+    const listeners = (this.listeners[type] || []).slice();
+    for (const listener of listeners) {
+      // 监听器中的异常不应中断朗读
+      try {
+        listener(payload);
+      } catch (e) {
+        console.error(`SubtitleReader: ${type} 事件处理出错`, e);
+      }
+    }
+    if (this.config.container && this.config.container.dispatchEvent) {
+      this.config.container.dispatchEvent(new CustomEvent(`reading-${type}`, { detail: payload }));
+    }
+    return listeners.length;
+  }
+  
+  /**
+   * 报告错误：在字幕中显示错误状态并触发error事件
+   * @param {string} code - 错误类型 ('marked-missing'、'no-voices'、'synthesis' 等)
+   * @param {string} message - 错误信息
+   * @param {Object} detail - 附加数据
+   */
+  reportError(code, message, detail = {}) {
+    if (this.elements.subtitle) {
+      this.subtitleUnitIndex = -1;
+      this.elements.subtitle.innerHTML = `<div class="error-message">${this.escapeHTML(message)}</div>`;
+      this.adjustWindowSize(message);
+    }
+    // 没有监听器时输出到控制台，避免错误被静默忽略
+    if (!this.emit('error', { code, message, ...detail })) {
+      console.error(`SubtitleReader: ${message}`);
+    }
+  }
+  
+  /**
+   * 计算字符位置对应的朗读进度
+   * @param {number} charIndex - 朗读文本中的字符位置
+   * @returns {number} - 百分比(0-100)
+   */
+  getPercent(charIndex) {
+    if (!this.cleanedText.length) return 0;
+    return Math.min(100, Math.round(charIndex / this.cleanedText.length * 100));
+  }
+  
+  /**
+   * 计算文本的哈希值，用于识别同一份内容
+   * @param {string} text - 文本
+   * @returns {string} - 十六进制哈希值
+   */
+  hashText(text) {
+    // FNV-1a 32位哈希
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+      hash ^= text.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return (hash >>> 0).toString(16).padStart(8, '0');
+  }
+  
+  /**
+   * 获取当前内容的进度存储键
+   * @returns {string} - 存储键
+   */
+  getProgressKey() {
+    return `${this.config.storageKey}:${this.hashText(this.config.markdownText || '')}`;
+  }
+  
+  /**
+   * 保存当前朗读进度
+   */
+  saveProgress() {
+    // 流式文本内容一直在变化，不保存进度
+    if (!this.config.saveProgress || !this.storage || this.streamMode) return;
+    const unit = this.displayUnits[this.currentUnitIndex];
+    if (!unit) return;
+    this.storage.set(this.getProgressKey(), {
+      hash: this.hashText(this.config.markdownText || ''),
+      unitIndex: this.currentUnitIndex,
+      charOffset: unit.start,
+      percent: this.getPercent(unit.start),
+      updatedAt: Date.now()
+    });
+    this.touchProgressKey(this.getProgressKey());
+  }
+  
+  /**
+   * 将进度存储键移到最近使用列表末尾，超出maxProgressEntries时移除最久未读的进度
+   * @param {string} key - 进度存储键
+   */
+  touchProgressKey(key) {
+    const indexKey = `${this.config.storageKey}:recent`;
+    const keys = this.storage.get(indexKey) || [];
+    if (keys[keys.length - 1] === key) return;
+    const recent = keys.filter(item => item !== key);
+    recent.push(key);
+    const limit = Math.max(1, this.config.maxProgressEntries);
+    recent.splice(0, recent.length - limit).forEach(item => this.storage.remove(item));
+    this.storage.set(indexKey, recent);
+  }
+  
+  /**
+   * 读取当前内容保存的进度
+   * @returns {Object|null} - 进度 {hash, unitIndex, charOffset, percent, updatedAt}
+   */
+  getSavedProgress() {
+    if (!this.storage) return null;
+    const progress = this.storage.get(this.getProgressKey());
+    return progress && progress.hash === this.hashText(this.config.markdownText || '') ? progress : null;
+  }
+  
+  /**
+   * 清除当前内容保存的进度
+   */
+  clearProgress() {
+    if (this.storage) {
+      const key = this.getProgressKey();
+      this.storage.remove(key);
+      const indexKey = `${this.config.storageKey}:recent`;
+      const keys = this.storage.get(indexKey);
+      if (keys && keys.includes(key)) {
+        this.storage.set(indexKey, keys.filter(item => item !== key));
+      }
+    }
+  }
+  
+  /**
+   * 从上次保存的位置继续朗读，没有保存的进度时从头开始
+   */
+  resumeReading() {
+    const progress = this.getSavedProgress();
+    if (!progress) {
+      this.startReading();
+      return;
+    }
+    // 按字符位置定位单元，分割规则变化后仍能回到相同位置
+    this.prepareUnits();
+    const charIndex = Math.max(0, Math.min(progress.charOffset, this.charToUnitMap.length - 1));
+    const index = this.findUnitForCharacter(charIndex, this.charToUnitMap, -1);
+    const notice = `从${progress.percent}%处继续`;
+    // 显示提示期间不继续朗读之前的内容
+    this.stopSpeech();
+    this.subtitleUnitIndex = -1;
+    this.elements.subtitle.innerHTML = this.escapeHTML(notice);
+    this.adjustWindowSize(notice);
+    this.startPending = true;
+    this.startTimer = setTimeout(() => this.startReading(index), this.config.resumeNoticeDelay);
+  }
+  
+  /**
+   * 获取当前时间
+   * @returns {number} - 毫秒时间戳
+   */
+  now() {
+    if (this.config.clock) return this.config.clock();
+    return typeof performance !== 'undefined' ? performance.now() : Date.now();
+  }
+  
+  /**
+   * 获取本次朗读已经过的时间（不含暂停时间）
+   * @returns {number} - 毫秒数
+   */
+  getElapsedTime() {
+    const now = this.isPaused ? this.pauseStartedAt : this.now();
+    return Math.max(0, now - this.readingStartedAt - this.pausedTime);
+  }
+  
+  /**
+   * 记录单元切换的时间点
+   * @param {number} index - 新的显示单元索引
+   */
+  recordCue(index) {
+    const last = this.timeline[this.timeline.length - 1];
+    if (last && last.end === null && last.index === index) return;
+    const time = this.getElapsedTime();
+    this.closeCue(time);
+    this.timeline.push({
+      index,
+      text: this.displayUnits[index].text,
+      start: time,
+      end: null
+    });
+  }
+  
+  /**
+   * 结束最后一条时间轴记录
+   * @param {number} time - 结束时间，默认为当前时间
+   */
+  closeCue(time = this.getElapsedTime()) {
+    const last = this.timeline[this.timeline.length - 1];
+    if (last && last.end === null) {
+      last.end = Math.max(last.start, time);
+    }
+  }
+  
+  /**
+   * 获取已记录的字幕时间轴
+   * @returns {Array} - 字幕条目数组 {index, text, start, end}，时间单位为毫秒
+   */
+  getCues() {
+    return this.timeline
+      .map(cue => ({ ...cue, end: cue.end === null ? this.getElapsedTime() : cue.end }))
+      .filter(cue => cue.end > cue.start);
+  }
+  
+  /**
+   * 不朗读，按字符数和语速估算字幕时间轴
+   * @param {Object} options - 估算选项
+   * @param {number} options.charsPerSecond - 1.0语速下每秒朗读的汉字数
+   * @param {number} options.rate - 语速，默认使用speechRate和rateRules
+   * @returns {Array} - 字幕条目数组 {index, text, start, end}，时间单位为毫秒
+   */
+  estimateTimings(options = {}) {
+    const charsPerSecond = options.charsPerSecond || this.config.estimatedCharsPerSecond;
+    // 内容或过滤规则变化后重新处理，内容未变时直接使用已有单元
+    this.prepareUnits();
+    let time = 0;
+    return this.displayUnits.map((unit, index) => {
+      const rate = options.rate || this.getUnitProsody(unit).rate;
+      const unitText = this.cleanedText.slice(unit.start, unit.end);
+      const text = (unit.speechPrefix || '') + this.normalizeForSpeech(unitText, unit.lang || this.config.defaultLang).text;
+      const duration = this.estimateDuration(text, rate, charsPerSecond);
+      const cue = { index, text: unit.text, start: time, end: time + duration };
+      time += duration + (unit.pauseAfter || 0) / rate;
+      return cue;
+    });
+  }
+  
+  /**
+   * 估算一段朗读文本的时长
+   * 汉字按一个音节计，其他字母数字约三个字符一个音节，标点和空格不计
+   * @param {string} text - 朗读文本
+   * @param {number} rate - 语速
+   * @param {number} charsPerSecond - 1.0语速下每秒朗读的汉字数
+   * @returns {number} - 毫秒数
+   */
+  estimateDuration(text, rate = 1, charsPerSecond = this.config.estimatedCharsPerSecond) {
+    const cjkCount = (text.match(/[\u3040-\u30ff\u3400-\u9fff\uac00-\ud7a3]/g) || []).length;
+    const otherCount = (text.match(/[\p{L}\p{N}]/gu) || []).length - cjkCount;
+    const syllables = Math.max(1, cjkCount + otherCount / 3);
+    return Math.round(syllables / (charsPerSecond * rate) * 1000);
+  }
+  
+  /**
+   * 格式化字幕时间戳
+   * @param {number} ms - 毫秒数
+   * @param {string} separator - 秒与毫秒之间的分隔符
+   * @returns {string} - 形如 00:00:01.000 的时间戳
+   */
+  formatTimestamp(ms, separator = '.') {
+    const total = Math.max(0, Math.round(ms));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+    const hours = Math.floor(total / 3600000);
+    const minutes = Math.floor(total / 60000) % 60;
+    const seconds = Math.floor(total / 1000) % 60;
+    return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+  }
+  
+  /**
+   * 导出WebVTT字幕
+   * @param {Array} cues - 字幕条目，默认使用朗读时记录的时间轴
+   * @returns {string} - WebVTT文本
+   */
+  exportVTT(cues = this.getCues()) {
+    const escape = text => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    const blocks = cues.map((cue, i) =>
+      `${i + 1}\n${this.formatTimestamp(cue.start)} --> ${this.formatTimestamp(cue.end)}\n${escape(cue.text)}`
+    );
+    return ['WEBVTT', ...blocks].join('\n\n') + '\n';
+  }
+  
+  /**
+   * 导出SRT字幕
+   * @param {Array} cues - 字幕条目，默认使用朗读时记录的时间轴
+   * @returns {string} - SRT文本
+   */
+  exportSRT(cues = this.getCues()) {
+    return cues.map((cue, i) =>
+      `${i + 1}\n${this.formatTimestamp(cue.start, ',')} --> ${this.formatTimestamp(cue.end, ',')}\n${cue.text}\n`
+    ).join('\n');
+  }
+  
+  /**
+   * 用TTS后端逐个合成显示单元并拼接为一个WAV音频，同时生成对应的字幕时间轴
+   * @param {Object} options - 导出选项
+   * @param {Object} options.backend - TTS后端，默认使用ttsBackend选项或当前引擎的后端
+   * @param {number} options.sampleRate - 输出采样率，默认使用第一段音频的采样率
+   * @param {Function} options.onprogress - 每合成一个单元后调用，参数为 {index, total}
+   * @returns {Promise<Object>} - {buffer, blob, mimeType, duration, cues, vtt, srt}，
+   *   cues中的words为单元内每个词的时间
+   */
+  exportAudio(options = {}) {
+    const backend = options.backend || this.config.ttsBackend || this.engine.backend;
+    if (!backend) {
+      return Promise.reject(new Error('SubtitleReader: 导出音频需要TTS后端'));
+    }
+    // 内容或过滤规则变化后重新处理，内容未变时直接使用已有单元
+    this.prepareUnits();
+    const units = this.displayUnits;
+    const segments = [];
+    const cues = [];
+    let sampleRate = options.sampleRate || 0;
+    let time = 0;
+    // 按顺序合成，保证后端负载可控、时间轴连续
+    const renderUnit = (index) => {
+      if (index >= units.length) return Promise.resolve();
+      const unit = units[index];
+      const lang = unit.lang || this.config.defaultLang;
+      const unitText = this.cleanedText.slice(unit.start, unit.end);
+      const text = (unit.speechPrefix ? `${unit.speechPrefix}，` : '') + this.normalizeForSpeech(unitText, lang).text;
+      const prosody = this.getUnitProsody(unit);
+      const voice = this.findVoiceForLang(lang);
+      const synthesis = text.trim()
+        ? Promise.resolve(backend.synthesize(text, { ...prosody, voice: voice && voice.name, lang }))
+          .then(result => decodeAudio(result.audio, result.mimeType).then(audio => ({ audio, timings: result.timings || [] })))
+        : Promise.resolve(null);
+      return synthesis.then((rendered) => {
+        let duration = 0;
+        if (rendered) {
+          sampleRate = sampleRate || rendered.audio.sampleRate;
+          const samples = resampleAudio(mixDownAudio(rendered.audio.channels), rendered.audio.sampleRate, sampleRate);
+          segments.push(samples);
+          duration = samples.length / sampleRate * 1000;
+          cues.push({
+            index,
+            text: unit.text,
+            start: Math.round(time),
+            end: Math.round(time + duration),
+            words: rendered.timings.map(timing => ({ ...timing, time: Math.round(time + timing.time) }))
+          });
+        }
+        // 标题等单元之后的停顿写入静音
+        const pause = (unit.pauseAfter || 0) / prosody.rate;
+        if (pause && sampleRate) {
+          segments.push(new Float32Array(Math.round(pause / 1000 * sampleRate)));
+        }
+        time += duration + pause;
+        if (options.onprogress) {
+          options.onprogress({ index, total: units.length });
+        }
+        return renderUnit(index + 1);
+      });
+    };
+    return renderUnit(0).then(() => {
+      const rate = sampleRate || 24000;
+      const total = segments.reduce((sum, samples) => sum + samples.length, 0);
+      const merged = new Float32Array(total);
+      let offset = 0;
+      segments.forEach((samples) => {
+        merged.set(samples, offset);
+        offset += samples.length;
+      });
+      const buffer = encodeWav(merged, rate);
+      return {
+        buffer,
+        blob: typeof Blob !== 'undefined' ? new Blob([buffer], { type: 'audio/wav' }) : null,
+        mimeType: 'audio/wav',
+        duration: Math.round(total / rate * 1000),
+        cues,
+        vtt: this.exportVTT(cues),
+        srt: this.exportSRT(cues)
+      };
+    });
+  }
+}
+
+/**
+ * Web Speech API 语音引擎适配器
+ *
+ * 语音引擎需实现以下接口，可通过 options.engine 替换：
+ * - getVoices(): 返回可用语音列表
+ * - onVoicesChanged(callback): 订阅语音列表变化，返回取消订阅函数
+ * - speak(text, options): 朗读文本，options 包含 voice/rate/pitch/volume/lang
+ *   以及 onstart/onboundary/onend/onerror 回调
+ * - cancel() / pause() / resume(): 控制朗读
+ * - paused: 是否处于暂停状态
+ */
+class WebSpeechEngine {
+  /**
+   * @param {SpeechSynthesis} synth - 语音合成对象，默认使用全局speechSynthesis
+   */
+  constructor(synth = typeof window !== 'undefined' ? window.speechSynthesis : undefined) {
+    this.synth = synth;
+  }
+  get paused() {
+    return this.synth.paused;
+  }
+  /**
+   * 获取可用语音列表
+   * @returns {Array} - 语音列表
+   */
+  getVoices() {
+    return this.synth.getVoices();
+  }
+  /**
+   * 订阅语音列表变化
+   * @param {Function} callback - 回调函数
+   * @returns {Function} - 取消订阅函数
+   */
+  onVoicesChanged(callback) {
+    // 使用事件监听而不是覆盖onvoiceschanged，避免影响页面上的其他代码
+    if (this.synth.addEventListener) {
+      this.synth.addEventListener('voiceschanged', callback);
+      return () => this.synth.removeEventListener('voiceschanged', callback);
+    }
+    this.synth.onvoiceschanged = callback;
+    return () => {
+      if (this.synth.onvoiceschanged === callback) {
+        this.synth.onvoiceschanged = null;
+      }
+    };
+  }
+  /**
+   * 朗读文本
+   * @param {string} text - 要朗读的文本
+   * @param {Object} options - 语音参数和回调
+   * @returns {SpeechSynthesisUtterance} - 创建的语音对象
+   */
+  speak(text, options = {}) {
+    const utterance = new SpeechSynthesisUtterance(text);
+    if (options.voice) utterance.voice = options.voice;
+    for (const key of ['rate', 'pitch', 'volume', 'lang']) {
+      if (options[key] !== undefined) utterance[key] = options[key];
+    }
+    if (options.onstart) {
+      utterance.onstart = () => options.onstart();
+    }
+    if (options.onboundary) {
+      utterance.onboundary = (event) => options.onboundary({
+        name: event.name,
+        charIndex: event.charIndex,
+        charLength: event.charLength,
+        elapsedTime: event.elapsedTime
+      });
+      // 添加字符级事件以增加同步点
+      utterance.onmark = utterance.onboundary;
+    }
+    if (options.onend) {
+      utterance.onend = () => options.onend();
+    }
+    if (options.onerror) {
+      utterance.onerror = (event) => options.onerror({ error: event.error });
+    }
+    this.synth.speak(utterance);
+    return utterance;
+  }
+  cancel() {
+    this.synth.cancel();
+  }
+  pause() {
+    this.synth.pause();
+  }
+  resume() {
+    this.synth.resume();
+  }
+}
+
+/**
+ * 模拟语音引擎
+ * 不发出声音，按确定的字符位置和时间触发边界事件，用于无浏览器环境下的测试
+ */
+class MockSpeechEngine {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {Array} options.voices - 模拟的语音列表
+   * @param {Array|Function} options.boundaries - 边界事件位置，可以是字符偏移数组、
+   *   {charIndex, charLength, time} 对象数组，或接收文本返回上述数组的函数
+   * @param {number} options.charDuration - 每个字符的模拟朗读时长(毫秒)
+   * @param {boolean} options.autoPlay - 是否按时间自动触发事件，为false时需调用step()/flush()
+   */
+  constructor(options = {}) {
+    this.options = {
+      voices: [{ name: 'Mock Voice', lang: 'zh-CN', default: true }],
+      boundaries: null,
+      charDuration: 50,
+      autoPlay: true,
+      ...options
+    };
+    this.voices = this.options.voices;
+    this.queue = [];
+    this.current = null;
+    this.paused = false;
+    this.spoken = []; // 朗读记录，便于断言
+    this.voicesListeners = [];
+    this.timer = null;
+  }
+  getVoices() {
+    return this.voices;
+  }
+  onVoicesChanged(callback) {
+    this.voicesListeners.push(callback);
+    return () => {
+      this.voicesListeners = this.voicesListeners.filter(listener => listener !== callback);
+    };
+  }
+  /**
+   * 替换语音列表并通知订阅者
+   * @param {Array} voices - 新的语音列表
+   */
+  setVoices(voices) {
+    this.voices = voices;
+    this.voicesListeners.slice().forEach(listener => listener());
+  }
+  /**
+   * 计算一段文本的边界事件
+   * @param {string} text - 朗读文本
+   * @param {number} rate - 语速
+   * @returns {Array} - 按时间排序的边界事件
+   */
+  getBoundaries(text, rate = 1) {
+    const duration = this.options.charDuration / (rate || 1);
+    let boundaries = this.options.boundaries;
+    if (typeof boundaries === 'function') {
+      boundaries = boundaries(text);
+    }
+    if (!boundaries) {
+      // 默认每个汉字或每个连续的非空白片段为一个词
+      boundaries = [...text.matchAll(/[\u4e00-\u9fff]|[^\s\u4e00-\u9fff]+/g)]
+        .map(match => ({ charIndex: match.index, charLength: match[0].length }));
+    }
+    return boundaries
+      .map(boundary => (typeof boundary === 'number' ? { charIndex: boundary } : boundary))
+      .map(boundary => ({
+        name: boundary.name || 'word',
+        charIndex: boundary.charIndex,
+        charLength: boundary.charLength || 1,
+        time: boundary.time !== undefined ? boundary.time : boundary.charIndex * duration
+      }))
+      .sort((a, b) => a.time - b.time);
+  }
+  speak(text, options = {}) {
+    const utterance = {
+      text,
+      options,
+      events: this.getBoundaries(text, options.rate),
+      duration: text.length * this.options.charDuration / (options.rate || 1),
+      position: 0, // 已触发的事件数
+      elapsed: 0,
+      started: false
+    };
+    this.spoken.push({
+      text,
+      voice: options.voice,
+      rate: options.rate,
+      pitch: options.pitch,
+      volume: options.volume,
+      lang: options.lang
+    });
+    this.queue.push(utterance);
+    if (!this.current) {
+      this.startNext();
+    }
+    return utterance;
+  }
+  /**
+   * 开始队列中的下一段语音
+   */
+  startNext() {
+    this.current = this.queue.shift() || null;
+    if (this.current && this.options.autoPlay && !this.paused) {
+      this.schedule();
+    }
+  }
+  /**
+   * 安排下一个事件的定时器
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    const utterance = this.current;
+    if (!utterance) return;
+    const next = utterance.events[utterance.position];
+    const time = next ? next.time : utterance.duration;
+    this.timer = setTimeout(() => this.step(), Math.max(0, time - utterance.elapsed));
+  }
+  /**
+   * 触发当前语音的下一个事件（开始、边界或结束）
+   * @returns {boolean} - 是否还有待触发的事件
+   */
+  step() {
+    const utterance = this.current;
+    if (!utterance) return false;
+    if (!utterance.started) {
+      utterance.started = true;
+      if (utterance.options.onstart) utterance.options.onstart();
+    }
+    const event = utterance.events[utterance.position];
+    if (event) {
+      utterance.position++;
+      utterance.elapsed = event.time;
+      if (utterance.options.onboundary) {
+        utterance.options.onboundary({
+          name: event.name,
+          charIndex: event.charIndex,
+          charLength: event.charLength,
+          elapsedTime: event.time
+        });
+      }
+    } else {
+      utterance.elapsed = utterance.duration;
+      this.current = null;
+      if (utterance.options.onend) utterance.options.onend();
+      // 回调中可能已经发起新的朗读
+      if (!this.current) this.startNext();
+    }
+    if (this.current && this.options.autoPlay && !this.paused) {
+      this.schedule();
+    }
+    return !!this.current;
+  }
+  /**
+   * 同步触发所有剩余事件，直到队列清空
+   * @param {number} limit - 最多触发的事件数，防止回调中无限追加
+   */
+  flush(limit = 10000) {
+    while (limit-- > 0 && this.step()) {}
+  }
+  /**
+   * 让当前语音以错误结束
+   * @param {string} error - 错误类型
+   */
+  fail(error = 'synthesis-failed') {
+    const utterance = this.current;
+    if (!utterance) return;
+    clearTimeout(this.timer);
+    this.current = null;
+    if (utterance.options.onerror) utterance.options.onerror({ error });
+    if (!this.current) this.startNext();
+  }
+  cancel() {
+    clearTimeout(this.timer);
+    const current = this.current;
+    const queued = this.queue;
+    this.current = null;
+    this.queue = [];
+    // 与浏览器行为一致：被取消的语音触发interrupted/canceled错误
+    if (current && current.options.onerror) current.options.onerror({ error: 'interrupted' });
+    queued.forEach(utterance => {
+      if (utterance.options.onerror) utterance.options.onerror({ error: 'canceled' });
+    });
+  }
+  pause() {
+    this.paused = true;
+    clearTimeout(this.timer);
+  }
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    if (this.current && this.options.autoPlay) {
+      this.schedule();
+    }
+  }
+}
+
+/**
+ * 外部TTS后端语音引擎
+ *
+ * TTS后端需实现 synthesize(text, options)，options 包含 voice(语音名称)/rate/pitch/volume/lang，
+ * 返回Promise，结果为 {audio, mimeType, timings}：audio为ArrayBuffer或Blob，
+ * timings为词的时间 [{charIndex, charLength, time}]，time为相对音频开头的毫秒数。
+ * 可选实现 getVoices() 返回语音列表。
+ * 本引擎通过音频元素播放合成结果，并按timings触发边界事件驱动字幕同步。
+ */
+class BackendSpeechEngine {
+  /**
+   * @param {Object} backend - TTS后端
+   * @param {Object} options - 配置选项
+   * @param {Function} options.createAudio - 创建音频元素的函数，接收音频URL，默认使用 new Audio(url)
+   */
+  constructor(backend, options = {}) {
+    this.backend = backend;
+    this.options = {
+      createAudio: url => new Audio(url),
+      ...options
+    };
+    this.queue = [];
+    this.current = null;
+    this.paused = false;
+    this.voicesListeners = [];
+  }
+  getVoices() {
+    return (this.backend.getVoices && this.backend.getVoices()) || [{ name: 'default', lang: '', default: true }];
+  }
+  onVoicesChanged(callback) {
+    this.voicesListeners.push(callback);
+    return () => {
+      this.voicesListeners = this.voicesListeners.filter(listener => listener !== callback);
+    };
+  }
+  speak(text, options = {}) {
+    const item = { text, options };
+    // 加入队列时立即开始合成，播放上一段时下一段已在准备
+    item.request = Promise.resolve().then(() => this.backend.synthesize(text, {
+      voice: options.voice && options.voice.name,
+      rate: options.rate,
+      pitch: options.pitch,
+      volume: options.volume,
+      lang: options.lang
+    }));
+    item.request.catch(() => {});
+    this.queue.push(item);
+    if (!this.current) {
+      this.playNext();
+    }
+    return item;
+  }
+  /**
+   * 播放队列中的下一段
+   */
+  playNext() {
+    const item = this.queue.shift();
+    if (!item) {
+      this.current = null;
+      return;
+    }
+    const current = { item, audio: null, url: null, timer: null, timings: [], position: 0, started: false };
+    this.current = current;
+    item.request.then((result) => {
+      if (this.current !== current) return;
+      const audio = result.audio instanceof Blob
+        ? result.audio
+        : new Blob([result.audio], { type: result.mimeType || 'audio/wav' });
+      current.url = URL.createObjectURL(audio);
+      current.timings = (result.timings || []).slice().sort((a, b) => a.time - b.time);
+      current.audio = this.options.createAudio(current.url);
+      current.audio.addEventListener('playing', () => {
+        if (this.current !== current) return;
+        if (!current.started) {
+          current.started = true;
+          if (item.options.onstart) item.options.onstart();
+        }
+        this.scheduleBoundaries(current);
+      });
+      current.audio.addEventListener('ended', () => {
+        if (this.current !== current) return;
+        // 触发剩余的边界事件
+        current.position = this.fireBoundaries(current, Infinity);
+        this.release(current);
+        this.current = null;
+        if (item.options.onend) item.options.onend();
+        if (!this.current) this.playNext();
+      });
+      current.audio.addEventListener('error', () => {
+        if (this.current !== current) return;
+        this.fail(current, 'audio-playback');
+      });
+      if (!this.paused) {
+        this.play(current);
+      }
+    }, (error) => {
+      if (this.current !== current) return;
+      this.fail(current, (error && error.message) || 'synthesis-failed');
+    });
+  }
+  /**
+   * 开始或继续播放音频，浏览器拒绝播放时按错误处理
+   * @param {Object} current - 正在播放的段落
+   */
+  play(current) {
+    const result = current.audio.play();
+    if (result && result.catch) {
+      result.catch(() => {
+        if (this.current === current && !this.paused) this.fail(current, 'not-allowed');
+      });
+    }
+  }
+  /**
+   * 以错误结束当前段落
+   * @param {Object} current - 正在播放的段落
+   * @param {string} error - 错误类型
+   */
+  fail(current, error) {
+    this.release(current);
+    this.current = null;
+    if (current.item.options.onerror) current.item.options.onerror({ error });
+    if (!this.current) this.playNext();
+  }
+  /**
+   * 触发播放位置之前的所有边界事件
+   * @param {Object} current - 正在播放的段落
+   * @param {number} time - 当前播放位置(毫秒)
+   * @returns {number} - 已触发的事件数
+   */
+  fireBoundaries(current, time) {
+    const { timings, item } = current;
+    let position = current.position;
+    while (position < timings.length && timings[position].time <= time) {
+      const timing = timings[position++];
+      if (item.options.onboundary) {
+        item.options.onboundary({
+          name: 'word',
+          charIndex: timing.charIndex,
+          charLength: timing.charLength || 0,
+          elapsedTime: timing.time
+        });
+      }
+    }
+    return position;
+  }
+  /**
+   * 按音频的播放位置安排下一个边界事件
+   * @param {Object} current - 正在播放的段落
+   */
+  scheduleBoundaries(current) {
+    clearTimeout(current.timer);
+    if (this.paused || this.current !== current) return;
+    const now = current.audio.currentTime * 1000;
+    current.position = this.fireBoundaries(current, now + 15);
+    const next = current.timings[current.position];
+    if (!next) return;
+    const wait = (next.time - now) / (current.audio.playbackRate || 1);
+    current.timer = setTimeout(() => this.scheduleBoundaries(current), Math.max(0, wait));
+  }
+  /**
+   * 停止播放并释放音频资源
+   * @param {Object} current - 正在播放的段落
+   */
+  release(current) {
+    clearTimeout(current.timer);
+    if (current.audio) {
+      current.audio.pause();
+    }
+    if (current.url) {
+      URL.revokeObjectURL(current.url);
+    }
+  }
+  cancel() {
+    const current = this.current;
+    const queued = this.queue;
+    this.current = null;
+    this.queue = [];
+    // 与浏览器行为一致：被取消的语音触发interrupted/canceled错误
+    if (current) {
+      this.release(current);
+      if (current.item.options.onerror) current.item.options.onerror({ error: 'interrupted' });
+    }
+    queued.forEach((item) => {
+      if (item.options.onerror) item.options.onerror({ error: 'canceled' });
+    });
+  }
+  pause() {
+    this.paused = true;
+    const current = this.current;
+    if (current && current.audio) {
+      clearTimeout(current.timer);
+      current.audio.pause();
+    }
+  }
+  resume() {
+    if (!this.paused) return;
+    this.paused = false;
+    const current = this.current;
+    if (current && current.audio) {
+      this.play(current);
+    }
+  }
+}
+
+/**
+ * HTTP TTS后端
+ *
+ * 向endpoint发送JSON请求 {text, voice, rate, pitch, volume, lang}，支持两种响应：
+ * - JSON：{audio: base64音频, mimeType, timings}
+ * - 音频数据：词的时间放在 X-Word-Timings 响应头中(JSON)
+ */
+class HttpTtsBackend {
+  /**
+   * @param {Object} options - 配置选项
+   * @param {string} options.endpoint - 合成接口地址
+   * @param {Object} options.headers - 附加的请求头，如鉴权信息
+   * @param {Array} options.voices - 后端提供的语音列表 [{name, lang}]
+   * @param {Function} options.buildRequest - 自定义请求体，接收 (text, options) 返回对象
+   * @param {Function} options.fetch - 请求函数，默认使用window.fetch
+   */
+  constructor(options = {}) {
+    if (!options.endpoint) {
+      throw new Error('HttpTtsBackend: 未提供endpoint');
+    }
+    this.options = {
+      headers: {},
+      voices: [{ name: 'default', lang: '', default: true }],
+      buildRequest: (text, speechOptions) => ({ text, ...speechOptions }),
+      fetch: (...args) => window.fetch(...args),
+      ...options
+    };
+  }
+  getVoices() {
+    return this.options.voices;
+  }
+  /**
+   * 合成一段文本
+   * @param {string} text - 朗读文本
+   * @param {Object} options - voice/rate/pitch/volume/lang
+   * @returns {Promise<Object>} - {audio, mimeType, timings}
+   */
+  synthesize(text, options = {}) {
+    return this.options.fetch(this.options.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...this.options.headers },
+      body: JSON.stringify(this.options.buildRequest(text, options))
+    }).then((response) => {
+      if (!response.ok) {
+        throw new Error(`HttpTtsBackend: 请求失败 (${response.status})`);
+      }
+      const type = response.headers.get('Content-Type') || '';
+      if (type.includes('json')) {
+        return response.json().then(data => ({
+          audio: base64ToArrayBuffer(data.audio || ''),
+          mimeType: data.mimeType || 'audio/wav',
+          timings: data.timings || []
+        }));
+      }
+      const timings = response.headers.get('X-Word-Timings');
+      return response.arrayBuffer().then(audio => ({
+        audio,
+        mimeType: type || 'audio/wav',
+        timings: timings ? JSON.parse(timings) : []
+      }));
+    });
+  }
+}
+
+/**
+ * 将base64字符串转换为ArrayBuffer
+ * @param {string} base64 - base64字符串
+ * @returns {ArrayBuffer} - 二进制数据
+ */
+const base64ToArrayBuffer = (base64) => {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+};
+/**
+ * 解码音频为PCM采样，WAV直接解析，其他格式使用Web Audio解码
+ * @param {ArrayBuffer|Blob} audio - 音频数据
+ * @param {string} mimeType - 音频类型
+ * @returns {Promise<Object>} - {sampleRate, channels: [Float32Array]}
+ */
+const decodeAudio = (audio, mimeType) => {
+  const read = typeof Blob !== 'undefined' && audio instanceof Blob ? audio.arrayBuffer() : Promise.resolve(audio);
+  return read.then((buffer) => {
+    const decoded = decodeWav(buffer);
+    if (decoded) return decoded;
+    const Context = typeof window !== 'undefined' && (window.OfflineAudioContext || window.webkitOfflineAudioContext);
+    if (!Context) {
+      throw new Error(`SubtitleReader: 无法解码 ${mimeType || '未知格式'} 音频`);
+    }
+    return new Context(1, 1, 44100).decodeAudioData(buffer.slice(0)).then(audioBuffer => ({
+      sampleRate: audioBuffer.sampleRate,
+      channels: Array.from({ length: audioBuffer.numberOfChannels }, (_, i) => audioBuffer.getChannelData(i))
+    }));
+  });
+};
+/**
+ * 解析PCM格式的WAV文件
+ * @param {ArrayBuffer} buffer - WAV数据
+ * @returns {Object|null} - {sampleRate, channels: [Float32Array]}，不是PCM WAV时返回null
+ */
+const decodeWav = (buffer) => {
+  const view = new DataView(buffer);
+  const tag = offset => String.fromCharCode(...new Uint8Array(buffer, offset, 4));
+  if (buffer.byteLength < 12 || tag(0) !== 'RIFF' || tag(8) !== 'WAVE') return null;
+  let format = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.byteLength) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      format = {
+        code: view.getUint16(body, true),
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true)
+      };
+    } else if (id === 'data' && format) {
+      // 支持16位整数和32位浮点PCM
+      const bytes = format.bits / 8;
+      if ((format.code !== 1 || format.bits !== 16) && (format.code !== 3 || format.bits !== 32)) return null;
+      const frames = Math.floor(Math.min(size, buffer.byteLength - body) / (bytes * format.channels));
+      const channels = Array.from({ length: format.channels }, () => new Float32Array(frames));
+      for (let i = 0; i < frames; i++) {
+        for (let c = 0; c < format.channels; c++) {
+          const position = body + (i * format.channels + c) * bytes;
+          channels[c][i] = format.code === 1 ? view.getInt16(position, true) / 32768 : view.getFloat32(position, true);
+        }
+      }
+      return { sampleRate: format.sampleRate, channels };
+    }
+    offset = body + size + (size % 2);
+  }
+  return null;
+};
+/**
+ * 将多声道混合为单声道
+ * @param {Array} channels - 各声道采样
+ * @returns {Float32Array} - 单声道采样
+ */
+const mixDownAudio = (channels) => {
+  if (channels.length === 1) return channels[0];
+  const mixed = new Float32Array(channels[0].length);
+  channels.forEach((channel) => {
+    for (let i = 0; i < mixed.length; i++) {
+      mixed[i] += channel[i] / channels.length;
+    }
+  });
+  return mixed;
+};
+/**
+ * 线性插值重采样
+ * @param {Float32Array} samples - 采样
+ * @param {number} from - 原采样率
+ * @param {number} to - 目标采样率
+ * @returns {Float32Array} - 重采样后的采样
+ */
+const resampleAudio = (samples, from, to) => {
+  if (from === to) return samples;
+  const length = Math.round(samples.length * to / from);
+  const result = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * from / to;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    result[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+  }
+  return result;
+};
+/**
+ * 编码为16位单声道PCM WAV
+ * @param {Float32Array} samples - 采样
+ * @param {number} sampleRate - 采样率
+ * @returns {ArrayBuffer} - WAV数据
+ */
+const encodeWav = (samples, sampleRate) => {
+  const buffer = new ArrayBuffer(44 + samples.length * 2);
+  const view = new DataView(buffer);
+  const writeTag = (offset, text) => [...text].forEach((char, i) => view.setUint8(offset + i, char.charCodeAt(0)));
+  writeTag(0, 'RIFF');
+  view.setUint32(4, 36 + samples.length * 2, true);
+  writeTag(8, 'WAVE');
+  writeTag(12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // 单声道
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeTag(36, 'data');
+  view.setUint32(40, samples.length * 2, true);
+  samples.forEach((sample, i) => {
+    const value = Math.max(-1, Math.min(1, sample));
+    view.setInt16(44 + i * 2, value < 0 ? value * 0x8000 : value * 0x7FFF, true);
+  });
+  return buffer;
+};
+
+// 按块级处理的元素，其余元素视为行内元素合并到所在段落
+SubtitleReader.BLOCK_TAGS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'details', 'div', 'dl', 'dt',
+  'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'summary',
+  'table', 'ul'
+]);
+/**
+ * 标题：前后停顿
+ * @param {HTMLElement} element - 标题元素
+ * @param {SubtitleReader} reader - 阅读器实例
+ * @returns {Object} - 朗读行
+ */
+const renderHeading = (element, reader) => ({
+  text: reader.getChildrenText(element),
+  pauseBefore: reader.config.headingPause,
+  pauseAfter: reader.config.headingPause
+});
+// 内置的元素朗读规则，渲染器接收元素和阅读器实例，返回字符串、行对象、数组或null(跳过)
+SubtitleReader.DEFAULT_RENDERERS = {
+  h1: renderHeading,
+  h2: renderHeading,
+  h3: renderHeading,
+  h4: renderHeading,
+  h5: renderHeading,
+  h6: renderHeading,
+  // 列表项：朗读“第N项”前缀，字幕中不显示
+  li: (element, reader) => {
+    const lines = reader.renderChildren(element);
+    const parent = element.parentElement;
+    const siblings = parent ? [...parent.children].filter(child => child.tagName === element.tagName) : [element];
+    const start = parent && parent.tagName.toLowerCase() === 'ol' ? parseInt(parent.getAttribute('start'), 10) || 1 : 1;
+    const position = start + siblings.indexOf(element);
+    const first = lines.find(line => line.text);
+    if (first) {
+      first.speechPrefix = `第${reader.numberToChinese(position)}项`;
+    }
+    return lines;
+  },
+  // 代码块：按codeBlockPolicy跳过、概述或逐行朗读
+  pre: (element, reader) => {
+    const policy = reader.config.codeBlockPolicy;
+    if (policy === 'skip') return null;
+    const code = element.textContent.replace(/\n+$/, '');
+    if (policy === 'read') return code;
+    const codeElement = element.querySelector('code');
+    const match = codeElement && codeElement.className.match(/language-([\w+#-]+)/);
+    const lineCount = code.split('\n').length;
+    return {
+      text: `${match ? `${match[1]} ` : ''}代码块，共${lineCount}行`,
+      pauseBefore: 300,
+      pauseAfter: 300
+    };
+  },
+  // 表格：逐行朗读，每个单元格前加上列标题
+  table: (element, reader) => {
+    const rows = [...element.querySelectorAll('tr')];
+    const cellText = cell => reader.getChildrenText(cell).replace(/\s+/g, ' ').trim();
+    const headerRow = rows.find(row => row.cells.length && [...row.cells].every(cell => cell.tagName === 'TH'));
+    const headers = headerRow ? [...headerRow.cells].map(cellText) : [];
+    const bodyRows = rows.filter(row => row !== headerRow);
+    const lines = bodyRows
+      .map(row => [...row.cells]
+        .map((cell, i) => {
+          const value = cellText(cell);
+          if (!value) return '';
+          return headers[i] ? `${headers[i]}：${value}` : value;
+        })
+        .filter(text => text)
+        .join('，'))
+      .map((text, i) => ({ text, element: bodyRows[i] }))
+      .filter(line => line.text);
+    if (lines.length) {
+      lines[lines.length - 1].pauseAfter = 300;
+    }
+    return lines;
+  },
+  hr: () => ({ text: '', pauseAfter: 400 }),
+  // 链接：只朗读链接文字，不读href；文字本身是网址时交给url等过滤规则处理
+  a: (element, reader) => reader.getChildrenText(element),
+  img: (element) => element.getAttribute('alt') || ''
+};
+// 样式表未加载时测量文本使用的字体，与样式表中的默认值一致
+SubtitleReader.DEFAULT_FONT_SIZE = '22px';
+SubtitleReader.DEFAULT_FONT_FAMILY = '"Microsoft YaHei UI", "Segoe UI", sans-serif';
+// 主题设置对应的CSS自定义属性
+SubtitleReader.THEME_PROPERTIES = {
+  fontFamily: '--sr-font-family',
+  fontSize: '--sr-font-size',
+  lineHeight: '--sr-line-height',
+  color: '--sr-color',
+  background: '--sr-background',
+  backgroundOpacity: '--sr-background-opacity',
+  highlightColor: '--sr-highlight-color',
+  maxLines: '--sr-max-lines',
+  left: '--sr-left',
+  top: '--sr-top'
+};
+// 快捷键动作，接收阅读器实例和键盘事件
+SubtitleReader.SHORTCUT_ACTIONS = {
+  toggle: reader => reader.togglePause(),
+  previous: reader => reader.previous(),
+  next: reader => reader.next(),
+  faster: reader => reader.adjustRate(reader.config.rateStep),
+  slower: reader => reader.adjustRate(-reader.config.rateStep),
+  stop: reader => reader.stopReading(),
+  skipDocument: reader => reader.skipDocument()
+};
+// 默认快捷键 { event.key: 动作名 }
+SubtitleReader.DEFAULT_SHORTCUTS = {
+  ' ': 'toggle',
+  ArrowLeft: 'previous',
+  ArrowRight: 'next',
+  '+': 'faster',
+  '=': 'faster',
+  '-': 'slower',
+  Escape: 'stop'
+};
+// 当前接管系统媒体控制的阅读器
+SubtitleReader.mediaSessionOwner = null;
+// 自动检测出的语言对应的默认地区代码
+SubtitleReader.LANGUAGE_LOCALES = {
+  zh: 'zh-CN',
+  en: 'en-US',
+  ja: 'ja-JP',
+  ko: 'ko-KR',
+  th: 'th-TH',
+  ar: 'ar-SA',
+  ru: 'ru-RU'
+};
+/**
+ * 将字幕条目渲染为段落，条目边界即显示单元边界
+ * @param {string} text - SRT或WebVTT内容
+ * @param {SubtitleReader} reader - 阅读器实例
+ * @returns {string} - HTML
+ */
+const renderCues = (text, reader) => reader.parseCues(text)
+  .map(cue => `<p data-cue data-start="${cue.start}" data-end="${cue.end}">${reader.escapeHTML(cue.text)}</p>`)
+  .join('');
+// 输入格式解析器，接收文本和阅读器实例，返回HTML
+SubtitleReader.INPUT_FORMATS = {
+  markdown: text => window.marked.parse(text),
+  // 纯文本：空行分段，段内换行保留
+  text: (text, reader) => text.replace(/\r\n?/g, '\n').split(/\n\s*\n/)
+    .filter(paragraph => paragraph.trim())
+    .map(paragraph => `<p>${reader.escapeHTML(paragraph.trim()).replace(/\n/g, '<br>')}</p>`)
+    .join(''),
+  html: (text, reader) => reader.sanitizeHTML(text),
+  srt: renderCues,
+  vtt: renderCues
+};
+// 清理HTML时允许的标签及各标签允许的属性
+SubtitleReader.SANITIZE_TAGS = {
+  p: [], br: [], hr: [], div: [], span: [], section: [], article: [], header: [], footer: [], aside: [], main: [], nav: [],
+  h1: [], h2: [], h3: [], h4: [], h5: [], h6: [],
+  blockquote: ['cite'], pre: [], code: [], kbd: [], samp: [], var: [],
+  ul: [], ol: ['start', 'reversed'], li: ['value'], dl: [], dt: [], dd: [],
+  strong: [], b: [], em: [], i: [], u: [], s: [], del: [], ins: [], mark: [], small: [], sub: [], sup: [],
+  abbr: [], cite: [], q: [], time: ['datetime'], ruby: [], rt: [], rp: [], details: [], summary: [],
+  figure: [], figcaption: [], a: ['href'], img: ['src', 'alt', 'width', 'height'],
+  table: [], caption: [], thead: [], tbody: [], tfoot: [], tr: [], th: ['colspan', 'rowspan', 'scope'], td: ['colspan', 'rowspan']
+};
+// 所有允许的标签都可以使用的属性
+SubtitleReader.SANITIZE_GLOBAL_ATTRIBUTES = ['class', 'lang', 'dir', 'title'];
+// 连同内容一起移除的标签
+SubtitleReader.SANITIZE_DROP_TAGS = ['script', 'style', 'template', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed',
+  'applet', 'link', 'meta', 'base', 'head', 'title', 'svg', 'math', 'canvas', 'audio', 'video', 'select', 'textarea', 'button'];
+// 链接允许的协议
+SubtitleReader.SANITIZE_URL_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+/**
+ * 文本过滤流水线
+ *
+ * 按顺序应用一组命名规则，分别生成显示用文本和朗读用文本，并记录每个字符在原文中的位置。
+ * 规则格式：
+ * - name: 规则名称
+ * - pattern: 匹配的正则表达式
+ * - action: 'remove' 删除 | 'replace' 替换为replacement | 'speak-as' 显示原文、朗读replacement | 'keep' 保留原文
+ * - replacement: 替换文本，或接收 (matchText, match) 返回文本的函数
+ * - display / speech: 单独指定显示或朗读的处理方式，可为 'remove'、'keep'、替换文本或函数，优先于action
+ * - enabled: 为false时跳过该规则
+ * - lang: 只对该语言的文本生效，如 'zh'
+ * 被某条规则匹配过的文本不再被后续规则处理。
+ */
+class TextFilterPipeline {
+  /**
+   * @param {Array} rules - 自定义规则，与内置规则同名时合并设置，其余追加到内置规则之后
+   * @param {boolean} useDefaults - 是否包含内置规则
+   */
+  constructor(rules = [], useDefaults = true) {
+    this.rules = useDefaults ? TextFilterPipeline.DEFAULT_RULES.map(rule => ({ ...rule })) : [];
+    rules.forEach(rule => this.setRule(rule.name, rule));
+  }
+  /**
+   * 添加或修改规则
+   * @param {string} name - 规则名称
+   * @param {Object} changes - 规则设置
+   */
+  setRule(name, changes) {
+    const existing = name && this.rules.find(rule => rule.name === name);
+    if (existing) {
+      Object.assign(existing, changes);
+    } else {
+      this.addRule({ name, ...changes });
+    }
+  }
+  /**
+   * 在指定位置插入规则
+   * @param {Object} rule - 规则
+   * @param {number} index - 插入位置，默认追加到末尾
+   */
+  addRule(rule, index = this.rules.length) {
+    this.rules.splice(index, 0, rule);
+  }
+  /**
+   * 删除规则
+   * @param {string} name - 规则名称
+   */
+  removeRule(name) {
+    this.rules = this.rules.filter(rule => rule.name !== name);
+  }
+  /**
+   * 获取规则在指定输出中的处理方式
+   * @param {Object} rule - 规则
+   * @param {string} channel - 'display' 或 'speech'
+   * @returns {string|Function} - 'remove'、'keep'、替换文本或函数
+   */
+  resolveAction(rule, channel) {
+    if (rule[channel] !== undefined) return rule[channel];
+    switch (rule.action) {
+      case 'keep':
+        return 'keep';
+      case 'replace':
+        return rule.replacement;
+      case 'speak-as':
+        return channel === 'speech' ? rule.replacement : 'keep';
+      default:
+        return 'remove';
+    }
+  }
+  /**
+   * 过滤文本
+   * @param {string} text - 原文
+   * @returns {Object} - { display: {text, map}, speech: {text, map} }，map为每个字符在原文中的位置
+   */
+  apply(text) {
+    return {
+      display: this.run(text, 'display'),
+      speech: this.run(text, 'speech')
+    };
+  }
+  /**
+   * 为一种输出应用所有规则
+   * @param {string} text - 原文
+   * @param {string} channel - 'display' 或 'speech'
+   * @param {string} lang - 文本语言，设置了lang的规则只在语言匹配时生效
+   * @returns {Object} - {text, map}
+   */
+  run(text, channel, lang = null) {
+    // 片段列表：未处理的原文片段，以及被规则匹配过、不再参与后续匹配的片段
+    let segments = [{ text, start: 0, locked: false, replaced: false }];
+    for (const rule of this.rules) {
+      if (rule.enabled === false || !rule.pattern) continue;
+      if (rule.lang && !(lang && lang.toLowerCase().startsWith(rule.lang))) continue;
+      const action = this.resolveAction(rule, channel);
+      const flags = rule.pattern.flags.includes('g') ? rule.pattern.flags : `${rule.pattern.flags}g`;
+      const pattern = new RegExp(rule.pattern.source, flags);
+      const next = [];
+      for (const segment of segments) {
+        if (segment.locked) {
+          next.push(segment);
+          continue;
+        }
+        let last = 0;
+        for (const match of segment.text.matchAll(pattern)) {
+          if (!match[0]) continue;
+          if (match.index > last) {
+            next.push({ text: segment.text.slice(last, match.index), start: segment.start + last, locked: false, replaced: false });
+          }
+          let output = match[0];
+          if (action === 'remove') {
+            output = '';
+          } else if (typeof action === 'function') {
+            output = String(action(match[0], match));
+          } else if (action !== 'keep') {
+            output = String(action);
+          }
+          next.push({ text: output, start: segment.start + match.index, locked: true, replaced: action !== 'keep' });
+          last = match.index + match[0].length;
+        }
+        if (last < segment.text.length) {
+          next.push({ text: segment.text.slice(last), start: segment.start + last, locked: false, replaced: false });
+        }
+      }
+      segments = next;
+    }
+    // 拼接片段并规范化空格，替换文本中的字符都对应到被替换内容的起点
+    let result = '';
+    const map = [];
+    for (const segment of segments) {
+      for (let i = 0; i < segment.text.length; i++) {
+        const char = segment.text[i];
+        const origin = segment.replaced ? segment.start : segment.start + i;
+        if (/\s/.test(char)) {
+          if (!result || result[result.length - 1] === ' ') continue;
+          result += ' ';
+        } else {
+          result += char;
+        }
+        map.push(origin);
+      }
+    }
+    if (result.endsWith(' ')) {
+      result = result.slice(0, -1);
+      map.pop();
+    }
+    map.push(text.length);
+    return { text: result, map };
+  }
+}
+// 内置过滤规则，按顺序执行
+TextFilterPipeline.DEFAULT_RULES = [
+  // 处理http/https链接
+  { name: 'url', pattern: /https?:\/\/[^\s]+/g, action: 'remove' },
+  // 处理www开头的网址
+  { name: 'www', pattern: /www\.[^\s]+/g, action: 'remove' },
+  // 处理邮箱地址（需在域名之前，否则域名部分会被单独匹配）
+  { name: 'email', pattern: /[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}/g, action: 'remove' },
+  // 处理常见域名格式：com、net、org等少数顶级域名单独出现即匹配；
+  // io、cc、app等也常见于文件名和库名，后面带路径时才匹配，避免误删 config.json、v1.2.3、main.cc、socket.io、next.app 等文本
+  {
+    name: 'domain',
+    pattern: /\b[a-zA-Z0-9][a-zA-Z0-9-]*(?:\.[a-zA-Z0-9-]+)*\.(?:(?:com|net|org|edu|gov|mil|cn)(?![a-zA-Z0-9-])(?:[\/:?#][^\s]*)?|(?:int|info|biz|io|ai|app|dev|co|me|tv|cc|xyz|top|site|online|tech|hk|tw|jp|kr|uk|us|de|fr|ru|eu)\/[^\s]*)/g,
+    action: 'remove'
+  },
+  // 过滤所有表情符号和特殊Unicode字符
+  { name: 'emoji', pattern: /[\u{1F000}-\u{1FFFF}\u{2600}-\u{27BF}\u{2B50}\u{2B55}]/gu, action: 'remove' },
+  // 过滤其他特殊字符，但保留基本标点和空格
+  { name: 'symbol', pattern: /[^\p{L}\p{N}\p{P}\p{Z}\p{M}\s]/gu, action: 'remove' }
+];
+
+/**
+ * 语音协调器
+ *
+ * 浏览器中所有阅读器共用同一个speechSynthesis，同一时间只允许一个阅读器朗读。
+ * 新的阅读器开始朗读时，按其策略停止正在朗读的阅读器，或排队等待其结束。
+ */
+class SpeechCoordinator {
+  constructor() {
+    this.active = null;
+    this.queue = [];
+  }
+  /**
+   * 申请朗读
+   * @param {SubtitleReader} reader - 阅读器
+   * @param {Function} start - 排队的阅读器轮到时调用的函数
+   * @param {string} policy - 'preempt' 停止当前阅读器 | 'queue' 排队等待
+   * @returns {boolean} - 是否可以立即开始
+   */
+  acquire(reader, start, policy = 'preempt') {
+    if (!this.active || this.active === reader) {
+      this.active = reader;
+      return true;
+    }
+    if (policy === 'queue') {
+      this.queue = this.queue.filter(entry => entry.reader !== reader);
+      this.queue.push({ reader, start });
+      return false;
+    }
+    const previous = this.active;
+    this.active = reader;
+    previous.stopReading();
+    return true;
+  }
+  /**
+   * 结束朗读或取消排队，轮到队列中的下一个阅读器
+   * @param {SubtitleReader} reader - 阅读器
+   */
+  release(reader) {
+    this.queue = this.queue.filter(entry => entry.reader !== reader);
+    if (this.active !== reader) return;
+    this.active = null;
+    const next = this.queue.shift();
+    if (next) {
+      next.start();
+    }
+  }
+  /**
+   * 获取阅读器在队列中的位置
+   * @param {SubtitleReader} reader - 阅读器
+   * @returns {number} - 从1开始的位置，不在队列中时返回0
+   */
+  getQueuePosition(reader) {
+    return this.queue.findIndex(entry => entry.reader === reader) + 1;
+  }
+}
+
+/**
+ * 静态词典翻译服务，用于离线场景
+ *
+ * 翻译服务需实现 translate(units, targetLang)：units为 {index, text, lang} 数组，
+ * 返回Promise，结果为与units顺序一致的译文数组
+ */
+class StaticTranslationProvider {
+  /**
+   * @param {Object} dictionary - 按语言分组的词典 { en: { 原文: 译文 } }，或不分语言的 { 原文: 译文 }
+   */
+  constructor(dictionary = {}) {
+    this.dictionary = dictionary;
+  }
+  /**
+   * 从JSON文本创建
+   * @param {string} json - 词典JSON
+   * @returns {StaticTranslationProvider} - 翻译服务
+   */
+  static fromJSON(json) {
+    return new StaticTranslationProvider(JSON.parse(json));
+  }
+  translate(units, targetLang) {
+    const grouped = this.dictionary[targetLang];
+    const table = grouped && typeof grouped === 'object' ? grouped : this.dictionary;
+    return Promise.resolve(units.map(unit => {
+      const translation = table[unit.text] !== undefined ? table[unit.text] : table[unit.text.trim()];
+      return typeof translation === 'string' ? translation : '';
+    }));
+  }
+}
+
+/**
+ * localStorage 进度存储适配器
+ *
+ * 存储适配器需实现 get(key) / set(key, value) / remove(key)，值为可JSON序列化的对象
+ */
+class LocalStorageAdapter {
+  /**
+   * @param {Storage} storage - Storage对象，默认使用window.localStorage
+   */
+  constructor(storage = window.localStorage) {
+    this.storage = storage;
+  }
+  get(key) {
+    try {
+      const value = this.storage.getItem(key);
+      return value ? JSON.parse(value) : null;
+    } catch (e) {
+      return null;
+    }
+  }
+  set(key, value) {
+    try {
+      this.storage.setItem(key, JSON.stringify(value));
+    } catch (e) {
+      // 存储已满或被禁用时忽略
+    }
+  }
+  remove(key) {
+    try {
+      this.storage.removeItem(key);
+    } catch (e) {
+      // 存储被禁用时忽略
+    }
+  }
+}
+
+/**
+ * 内存进度存储适配器，用于测试或不允许持久化的环境
+ */
+class MemoryStorageAdapter {
+  constructor() {
+    this.data = new Map();
+  }
+  get(key) {
+    return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+  }
+  set(key, value) {
+    this.data.set(key, JSON.stringify(value));
+  }
+  remove(key) {
+    this.data.delete(key);
+  }
+}
+
+/**
+ * 创建默认的进度存储，localStorage不可用时退回内存存储
+ * @returns {Object} - 存储适配器
+ */
+SubtitleReader.createDefaultStorage = () => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage) {
+      return new LocalStorageAdapter(window.localStorage);
+    }
+  } catch (e) {
+    // 访问localStorage可能因安全策略抛出异常
+  }
+  return new MemoryStorageAdapter();
+};
+// 设置了closeWithOpener的字幕窗口，当前页面关闭时一并关闭
+const standaloneWindows = new Set();
+const closeStandaloneWindows = () => standaloneWindows.forEach(popup => popup.close());
+/**
+ * 记录需要随当前页面关闭的字幕窗口，字幕窗口关闭后移除
+ * @param {Window} popup - 字幕窗口
+ */
+const trackStandaloneWindow = (popup) => {
+  if (standaloneWindows.has(popup)) return;
+  if (!standaloneWindows.size) {
+    window.addEventListener('beforeunload', closeStandaloneWindows);
+  }
+  standaloneWindows.add(popup);
+  popup.addEventListener('pagehide', () => {
+    standaloneWindows.delete(popup);
+    if (!standaloneWindows.size) {
+      window.removeEventListener('beforeunload', closeStandaloneWindows);
+    }
+  });
+};
+// 本脚本的地址，openStandalone() 在弹出窗口中加载同一脚本
+SubtitleReader.scriptUrl = typeof document !== 'undefined' && document.currentScript ? document.currentScript.src : '';
+/**
+ * 从当前页面打开独立字幕窗口并开始朗读
+ * @param {string} text - 要朗读的文本
+ * @param {Object} options - 阅读器配置，另外支持：
+ * @param {string} options.windowName - 窗口名称，同名窗口已打开时复用其中的阅读器
+ * @param {string} options.scriptUrl - 本脚本地址，默认为当前加载的地址
+ * @param {string} options.styleUrl - 样式表地址，默认使用当前页面中的 subtitle-reader 样式表
+ * @param {string} options.markedUrl - marked.js地址，默认使用当前页面中的marked脚本
+ * @param {boolean} options.closeWithOpener - 当前页面关闭时是否一并关闭字幕窗口
+ * @returns {Promise<SubtitleReader>} - 字幕窗口中的阅读器实例
+ */
+SubtitleReader.openStandalone = (text, options = {}) => {
+  const {
+    windowName = 'subtitle-reader',
+    scriptUrl = SubtitleReader.scriptUrl,
+    styleUrl = (document.querySelector('link[rel="stylesheet"][href*="subtitle-reader"]') || {}).href,
+    markedUrl = (document.querySelector('script[src*="marked"]') || {}).src,
+    closeWithOpener = true,
+    ...readerOptions
+  } = options;
+  const width = Math.floor(window.screen.availWidth * 0.3);
+  const height = 35;
+  const left = Math.round((window.screen.availLeft || 0) + (window.screen.availWidth - width) / 2);
+  const top = Math.round((window.screen.availTop || 0) + window.screen.availHeight - height);
+  const popup = window.open('', windowName, `popup=yes,width=${width},height=${height},left=${left},top=${top}`);
+  if (!popup) {
+    return Promise.reject(new Error('SubtitleReader: 弹出窗口被浏览器阻止'));
+  }
+  // 窗口已打开时直接换成新的文本
+  const existing = popup.subtitleReader;
+  if (existing && !existing.destroyed) {
+    existing.setText(text);
+    popup.focus();
+    return Promise.resolve(existing);
+  }
+  // 窗口仍在加载脚本时等待加载完成，不重复注入脚本
+  if (popup.subtitleReaderLoading) {
+    return popup.subtitleReaderLoading.then(reader => {
+      reader.setText(text);
+      return reader;
+    });
+  }
+  if (!scriptUrl) {
+    return Promise.reject(new Error('SubtitleReader: 无法确定脚本地址，请提供scriptUrl'));
+  }
+  const doc = popup.document;
+  doc.title = readerOptions.title || document.title || 'SubtitleReader';
+  if (styleUrl) {
+    const link = doc.createElement('link');
+    link.rel = 'stylesheet';
+    link.href = styleUrl;
+    doc.head.appendChild(link);
+  }
+  // 依次加载marked和本脚本
+  const loadScript = src => new Promise((resolve, reject) => {
+    const script = doc.createElement('script');
+    script.src = src;
+    script.onload = resolve;
+    script.onerror = () => reject(new Error(`SubtitleReader: 脚本加载失败 ${src}`));
+    doc.head.appendChild(script);
+  });
+  const scripts = [markedUrl, scriptUrl].filter(src => src);
+  const loading = scripts.reduce((chain, src) => chain.then(() => loadScript(src)), Promise.resolve()).then(() => {
+    const container = doc.createElement('div');
+    doc.body.appendChild(container);
+    const reader = new popup.SubtitleReader({ ...readerOptions, container, standalone: true });
+    popup.subtitleReader = reader;
+    popup.subtitleReaderLoading = null;
+    if (closeWithOpener) {
+      trackStandaloneWindow(popup);
+    }
+    reader.setText(text);
+    return reader;
+  }, error => {
+    popup.subtitleReaderLoading = null;
+    throw error;
+  });
+  popup.subtitleReaderLoading = loading;
+  return loading;
+};
+SubtitleReader.SpeechCoordinator = SpeechCoordinator;
+// 页面上所有阅读器默认共用的语音协调器
+SubtitleReader.coordinator = new SpeechCoordinator();
+SubtitleReader.TextFilterPipeline = TextFilterPipeline;
+SubtitleReader.StaticTranslationProvider = StaticTranslationProvider;
+SubtitleReader.LocalStorageAdapter = LocalStorageAdapter;
+SubtitleReader.MemoryStorageAdapter = MemoryStorageAdapter;
+SubtitleReader.WebSpeechEngine = WebSpeechEngine;
+SubtitleReader.BackendSpeechEngine = BackendSpeechEngine;
+SubtitleReader.HttpTtsBackend = HttpTtsBackend;
+SubtitleReader.MockSpeechEngine = MockSpeechEngine;
 // 在浏览器环境中暴露给window对象
 if (typeof window !== 'undefined') {
   window.SubtitleReader = SubtitleReader;
@@ -596,3 +4385,4 @@ if (typeof window !== 'undefined') {
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = SubtitleReader;
 }
+})();